@@ -1,3 +1,5 @@
+const { capitalize } = require('./util');
+
 const statusCodeNames = {
   [100]: "Continue",
   [101]: "SwitchingProtocols",
@@ -64,6 +66,47 @@ const statusCodeNames = {
   [599]: "NetworkConnectTimeoutError",
 };
 
+/**
+ * Returns true if the given response key from an OpenApi responses object
+ * is a concrete status code, as opposed to `default` or a range like `4XX`.
+ */
+function isStatusCode(key) {
+  return /^[1-5][0-9][0-9]$/.test('' + key);
+}
+
+/**
+ * Returns true if the given status code signifies a successful response.
+ */
+function isSuccessStatus(statusCode) {
+  const code = parseInt(statusCode);
+  return code >= 200 && code < 300;
+}
+
+/**
+ * Returns true if the given response key from an OpenApi responses object denotes
+ * successful responses. That is a 2xx status code or the `2XX` range, but not
+ * `default`, which describes the error responses when success responses are documented.
+ */
+function isSuccessResponse(key) {
+  return isStatusCode(key) ? isSuccessStatus(key) : /^2XX$/i.test('' + key);
+}
+
+/**
+ * Returns a PascalCase name for the status code, which can be used
+ * as a part of generated symbol names.
+ */
+function getStatusCodeName(statusCode) {
+  if (!isStatusCode(statusCode)) {
+    return capitalize('' + statusCode);
+  }
+
+  return statusCodeNames[parseInt(statusCode)] || `Status${statusCode}`;
+}
+
 module.exports = {
-  statusCodeNames
+  statusCodeNames,
+  isStatusCode,
+  isSuccessStatus,
+  isSuccessResponse,
+  getStatusCodeName,
 };
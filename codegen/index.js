@@ -7,18 +7,114 @@ const stream = require('stream');
 const Vinyl = require('vinyl');
 const _ = require('lodash');
 
-const { statusCodeNames } = require('./http'); 
-const { createOpenApiObject } = require('./openapi');
-const { capitalize, removeDuplicates, escape } = require('./util');
+const { isStatusCode, isSuccessStatus, isSuccessResponse, getStatusCodeName } = require('./http');
+const { createOpenApiObject, resolveReference, formatPointer } = require('./openapi');
+const { generatePatternExample } = require('./pattern');
+const { capitalize, removeDuplicates, escape, toIdentifier, propertyKey, propertyAccessor } = require('./util');
 const { Scope } = require('./scope');
 
+const { hasAccessModifiers } = require('./schema');
+
 const readFile = util.promisify(fs.readFile);
 const writeFile = util.promisify(fs.writeFile);
 
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Returns the name of the method generated for an operation.
+ *
+ * @param path - Path of the operation.
+ * @param method - HTTP method of the operation.
+ * @param operation - OpenApi operation object.
+ */
+function getOperationName(path, method, operation) {
+  return operation.operationId || operation['x-codegen-method-name'] ||
+    path.replace(/[{}]/g, '').split('/').map(capitalize).join('') + capitalize(method);
+}
+
+/**
+ * Returns the category of a response body, which determines how it is read
+ * and the type returned by the generated methods.
+ *
+ * @param contentType - Content type of the response.
+ * @param schema - Schema of the response body. Can be undefined.
+ *
+ * @returns `json` for JSON bodies, `text` for `text/*` and XML bodies, which are returned
+ *    as strings, and `binary` for other bodies, which are returned as `ArrayBuffer`s.
+ */
+function getResponseCategory(contentType, schema) {
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+
+  if (/^application\/(.+\+)?json$/.test(mediaType)) {
+    return 'json';
+  }
+
+  const binary = schema && schema.type === 'string' && schema.format === 'binary';
+
+  if (!binary && (/^text\//.test(mediaType) || /^application\/(.+\+)?xml$/.test(mediaType))) {
+    return 'text';
+  }
+
+  return 'binary';
+}
+
+/**
+ * Finds a property of an object schema, including the properties
+ * defined in the members of an `allOf` composition.
+ *
+ * @param schema - The OpenApi schema object.
+ * @param name - Name of the property.
+ *
+ * @returns Object containing the schema of the property and whether it is
+ *    required, or undefined if the property is not defined.
+ */
+function findProperty(schema, name) {
+  if (!schema) {
+    return undefined;
+  }
+
+  if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name)) {
+    return {
+      schema: schema.properties[name],
+      required: (schema.required || []).indexOf(name) !== -1,
+    };
+  }
+
+  for (const member of schema.allOf || []) {
+    const property = findProperty(member, name);
+
+    if (property) {
+      return {
+        ...property,
+        required: property.required || (schema.required || []).indexOf(name) !== -1,
+      };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Default code generation options.
+ *
+ * @property {string} responseMode - Either `throw` or `result`.
+ *    In the `throw` mode the generated methods return the response body and
+ *    throw an error for non-2xx responses. In the `result` mode the methods
+ *    return a discriminated union of all documented responses.
+ */
+const defaultOptions = {
+  responseMode: 'throw',
+};
+
 class Codegen {
-  constructor (spec) {
+  constructor (spec, options = {}) {
     this.spec = spec;
+    this.options = { ...defaultOptions, ...options };
     this.apis = [];
+
+    if (['throw', 'result'].indexOf(this.options.responseMode) === -1) {
+      throw new Error(`invalid response mode '${this.options.responseMode}'`);
+    }
   }
 
   /**
@@ -59,10 +155,15 @@ class Codegen {
 
     for (const [path, value] of Object.entries(paths)) {
       for (const [method, operation] of Object.entries(value)) {
+        // Path items can also contain properties such as `summary` and `parameters`.
+        if (httpMethods.indexOf(method) === -1)
+          continue;
+
         operations.push({
           path,
           method,
           operation,
+          pathParameters: value.parameters || [],
         });
       }
     }
@@ -78,6 +179,63 @@ class Codegen {
 
     const client_scope = root_scope.scope('client', 'client.ts');
     client_scope.define('Client', { public: true });
+    client_scope.define('getMediaType', { public: false });
+    client_scope.define('ClientOptions', { public: true });
+    client_scope.define('Interceptor', { public: true });
+    client_scope.define('RequestOptions', { public: true });
+    client_scope.define('ApiResponse', { public: true });
+
+    const errors_scope = root_scope.scope('errors', 'errors.ts');
+    errors_scope.define('ApiError', { public: true });
+    errors_scope.define('RequestAbortedError', { public: true });
+    errors_scope.define('RequestTimeoutError', { public: true });
+    errors_scope.define('NetworkError', { public: true });
+    errors_scope.define('RequestQueuedError', { public: true });
+
+    const auth_scope = root_scope.scope('auth', 'auth.ts');
+    auth_scope.define('TokenProvider', { public: true });
+    auth_scope.define('createRefreshTokenProvider', { public: true });
+    auth_scope.define('SecurityScheme', { public: false });
+    auth_scope.define('CredentialMap', { public: false });
+
+    const transport_scope = root_scope.scope('transport', 'transport.ts');
+    transport_scope.define('Transport', { public: true });
+    transport_scope.define('AxiosTransport', { public: true });
+    transport_scope.define('FetchTransport', { public: true });
+    transport_scope.define('MockTransport', { public: true });
+    transport_scope.define('MockHandler', { public: true });
+    transport_scope.define('MockRequest', { public: true });
+    transport_scope.define('ResponseType', { public: true });
+
+    const retry_scope = root_scope.scope('retry', 'retry.ts');
+    retry_scope.define('RetryPolicy', { public: true });
+    retry_scope.define('defaultRetryPolicy', { public: true });
+
+    const pagination_scope = root_scope.scope('pagination', 'pagination.ts');
+    pagination_scope.define('Paginator', { public: true });
+
+    const cache_scope = root_scope.scope('cache', 'cache.ts');
+    cache_scope.define('CacheStore', { public: true });
+    cache_scope.define('CacheEntry', { public: true });
+    cache_scope.define('MemoryCacheStore', { public: true });
+
+    const offline_scope = root_scope.scope('offline', 'offline.ts');
+    offline_scope.define('OfflineQueue', { public: true });
+    offline_scope.define('OfflineStorage', { public: true });
+    offline_scope.define('QueuedRequest', { public: true });
+    offline_scope.define('MemoryOfflineStorage', { public: true });
+    offline_scope.define('FileOfflineStorage', { public: true });
+    offline_scope.define('OfflineFileSystem', { public: true });
+    offline_scope.define('IndexedDBOfflineStorage', { public: true });
+
+    const body_scope = root_scope.scope('body', 'body.ts');
+    body_scope.define('BinaryData', { public: true });
+    body_scope.define('RequestBody', { public: true });
+
+    const validation_scope = root_scope.scope('validation', 'validation.ts');
+    validation_scope.define('validateSchema', { public: false });
+    validation_scope.define('ValidationIssue', { public: true });
+    validation_scope.define('ValidationError', { public: true });
 
     const definition_scope = root_scope.scope('definitions', 'definitions.ts');
 
@@ -85,29 +243,69 @@ class Codegen {
       'definitions.ts',
       definition_scope,
       null,
-      this.spec
+      this.spec,
+      this.options,
     );
 
     if (this.spec.components && this.spec.components.schemas) {
-      for (const name of Object.keys(this.spec.components.schemas)) {
-        definition_codegen.generateTypedef(name, this.spec.components.schemas[name]);
+      const schemas = this.spec.components.schemas;
+
+      // Schemas with readOnly or writeOnly properties get a separate
+      // type definition for use in requests.
+      const requestVariants = Object.keys(schemas)
+        .filter((name) => hasAccessModifiers(schemas[name]));
+
+      // Define all symbols beforehand, so that schemas can reference
+      // schemas which are defined after them.
+      for (const name of Object.keys(schemas)) {
+        definition_codegen.declareTypedef(name, schemas[name]);
+      }
+
+      for (const name of requestVariants) {
+        definition_codegen.declareTypedef(name + 'Input', schemas[name], 'request');
+      }
+
+      for (const name of Object.keys(schemas)) {
+        definition_codegen.generateTypedef(name, schemas[name]);
+      }
+
+      for (const name of requestVariants) {
+        definition_codegen.generateTypedef(name + 'Input', schemas[name], 'request');
       }
     }
 
     yield await definition_codegen.emit();
 
+    const securitySchemes = (this.spec.components && this.spec.components.securitySchemes) || {};
+
+    if (Object.keys(securitySchemes).length > 0) {
+      const security_scope = root_scope.scope('security', 'security.ts');
+      const security_codegen = new FileCodegen('security.ts', security_scope, null, this.spec, this.options);
+
+      security_codegen.generateSecuritySchemes(securitySchemes);
+
+      yield await security_codegen.emit();
+    }
+
     const byApi = this.getOperations();
 
+    const mocks_scope = root_scope.scope('mocks', 'mocks.ts');
+    const mocks_codegen = new FileCodegen('mocks.ts', mocks_scope, null, this.spec, this.options);
+
+    mocks_codegen.generateMockServer([].concat(...Object.values(byApi)));
+
+    yield await mocks_codegen.emit();
+
     for (const apiName of Object.keys(byApi)) {
       const path = `apis/${apiName}.ts`;
       const api_scope = root_scope.scope(apiName, path);
       api_scope.import('client.Client', 'Client');
       api_scope.define(apiName, { public: true });
 
-      const api_codegen = new FileCodegen(path, api_scope, apiName, this.spec);
+      const api_codegen = new FileCodegen(path, api_scope, apiName, this.spec, this.options);
 
-      for (const { path, method, operation } of byApi[apiName]) {
-        api_codegen.generateOperation(path, method, operation);
+      for (const { path, method, operation, pathParameters } of byApi[apiName]) {
+        api_codegen.generateOperation(path, method, operation, pathParameters);
       }
 
       yield await api_codegen.emit();
@@ -147,11 +345,17 @@ class Codegen {
 }
 
 class FileCodegen {
-  constructor(filename, scope, name, spec) {
+  constructor(filename, scope, name, spec, options) {
     this.filename = filename;
     this.spec = spec;
+    this.options = options;
     this.scope = scope;
     this.typedefs = [];
+    this.securitySchemes = [];
+    this.mockServer = null;
+    this.validators = [];
+    this.warnings = new Set();
+    this.errors = [];
     this.operations = [];
     this.name = name;
   }
@@ -173,18 +377,38 @@ class FileCodegen {
    * @param schema - The OpenApi schema object.
    * @param newName - If defined, the created type definitions have
    *                  their names derived from this value.
+   * @param direction - Either `request` or `response`, depending on whether
+   *                  the type is used in requests or in responses.
    *
    * @returns a TypeScript type
    */
-  resolveSchemaType (schema, newName = undefined) {
+  resolveSchemaType (schema, newName = undefined, direction = 'response') {
     if (schema === undefined)
       return 'undefined';
 
+    const type = this.resolveNonNullableSchemaType(schema, newName, direction);
+
+    if (schema.nullable) {
+      return `${type} | null`;
+    }
+
+    return type;
+  }
+
+  /**
+   * Resolves a TypeScript type for a given OpenApi schema, ignoring the `nullable` property.
+   *
+   * See `resolveSchemaType` for the parameters.
+   */
+  resolveNonNullableSchemaType (schema, newName, direction) {
+    const variant = this.getSchemaVariant(schema, direction);
+
     // Check whether there already exists a type definition generated from
     // this path in the OpenApi document.
     const symbol = this.scope.find((entry) =>
       entry.type === 'definition' &&
-      entry.spec_path === schema.$path);
+      entry.spec_path === schema.$path &&
+      entry.variant === variant);
 
     // If a type definition has already been generated elsewhere,
     // import it to the local scope instead of generateing a duplicate.
@@ -192,35 +416,61 @@ class FileCodegen {
       return this.scope.import(symbol.local_name);
     }
 
-    // The allOf-property maps nicely to TypeScript union types.
-    // Recursively resolve types for the union members.
+    // The allOf-property maps nicely to TypeScript intersection types.
+    // Recursively resolve types for the intersection members.
     if (schema.allOf) {
       return schema.allOf
-        .map((item) => this.resolveSchemaType(item))
+        .map((item) => this.resolveSchemaType(item, undefined, direction))
         .join(' & ');
     }
 
+    // Similarly oneOf and anyOf map to union types. As TypeScript does not
+    // have exclusive unions, both are treated the same way.
+    if (schema.oneOf || schema.anyOf) {
+      if (newName && schema.discriminator) {
+        this.generateTypedef(newName, schema, direction);
+        return newName;
+      }
+
+      return this.getUnionMembers(schema, newName, direction)
+        .map(({ type }) => type)
+        .join(' | ');
+    }
+
     if (schema.type === 'array') {
       const itemTypeName = newName ? newName + 'Item' : undefined;
-      const itemType = this.resolveSchemaType(schema.items, itemTypeName);
+      const itemType = this.resolveSchemaType(schema.items, itemTypeName, direction);
       return `Array<${itemType}>`;
     }
 
     if (schema.type === 'object') {
       if (newName) {
-        this.generateTypedef(newName, schema);
+        this.generateTypedef(newName, schema, direction);
         return newName;
       } else {
         return 'object';
       }
     }
 
+    return this.resolvePrimitiveType(schema, direction);
+  }
+
+  /**
+   * Resolves a TypeScript type for an OpenApi schema of a primitive type.
+   *
+   * @param schema - The OpenApi schema object.
+   * @param direction - Either `request` or `response`. Binary strings in requests
+   *    are represented by `BinaryData`.
+   *
+   * @returns a TypeScript type
+   */
+  resolvePrimitiveType (schema, direction = 'response') {
     if (schema.enum) {
       let variantFormat = null;
 
       if (schema.type === 'string') {
         variantFormat = (v) => `"${escape(v, '"')}"`;
-      } else if (variant.type === 'integer' || variant.type === 'number') {
+      } else if (schema.type === 'integer' || schema.type === 'number') {
         variantFormat = (v) => '' + v;
       }
 
@@ -237,31 +487,61 @@ class FileCodegen {
       return 'number';
     }
 
+    if (schema.type === 'string' && schema.format === 'binary' && direction === 'request') {
+      return this.scope.import('body.BinaryData');
+    }
+
     return schema.type;
   }
 
+  /**
+   * Returns the variant of the type definition, which should be used for the schema.
+   *
+   * Schemas, which contain `readOnly` or `writeOnly` properties, have separate type
+   * definitions for requests and responses. Other schemas have only one, shared
+   * type definition.
+   *
+   * @returns Either `request` or undefined for the default variant.
+   */
+  getSchemaVariant(schema, direction) {
+    if (direction === 'request' && hasAccessModifiers(schema)) {
+      return 'request';
+    }
+
+    return undefined;
+  }
+
   /**
    * Generates a type definition from an OpenApi schema object.
    *
+   * Properties marked as `readOnly` are omitted from request types and
+   * properties marked as `writeOnly` from response types.
+   *
    * @param name - Name for the typedef, with which other types can
    *               reference it.
    * @param def - The OpenApi schema object.
+   * @param direction - Either `request` or `response`.
    */
-  generateTypedef(name, def) {
-    this.scope.define(name, {
-      spec_path: def.$path,
-    });
+  generateTypedef(name, def, direction = 'response') {
+    this.declareTypedef(name, def, direction);
+
+    const typedefCount = this.typedefs.length;
 
     if (def.type === 'object') {
       const properties = {};
+      const required = def.required || [];
 
       if (def.properties) {
         for (const name of Object.keys(def.properties)) {
           const prop = def.properties[name];
 
-          properties[name] = {
-            type: this.resolveSchemaType(prop),
+          if ((direction === 'request' && prop.readOnly) || (direction !== 'request' && prop.writeOnly))
+            continue;
+
+          properties[propertyKey(name)] = {
+            type: this.resolveSchemaType(prop, undefined, direction),
             jsdoc: prop.description,
+            optional: required.indexOf(name) === -1,
           }
         }
       }
@@ -276,7 +556,7 @@ class FileCodegen {
       this.typedefs.push({
         type: 'array',
         name,
-        item: this.resolveSchemaType(def.items),
+        item: this.resolveSchemaType(def.items, undefined, direction),
       });
     } else if (def.type === 'string' && def.enum) {
       this.typedefs.push({
@@ -285,194 +565,1564 @@ class FileCodegen {
         variants: def.enum.map((v) => `'${v}'`),
       });
     } else if (def.allOf) {
+      this.typedefs.push({
+        type: 'intersection',
+        name,
+        members: def.allOf.map((v, i) => this.resolveSchemaType(v, `${name}UnionMember${i}`, direction)),
+      });
+    } else if (def.oneOf || def.anyOf) {
+      const members = this.getUnionMembers(def, name, direction);
+
       this.typedefs.push({
         type: 'union',
         name,
-        members: def.allOf.map((v, i) => this.resolveSchemaType(v, `${name}UnionMember${i}`)),
+        description: def.description || '',
+        members: members.map(({ type }) => type),
+        // Type guards are only needed for narrowing responses.
+        guards: direction === 'request' ? [] : this.generateTypeGuards(name, def, members),
+      });
+    } else {
+      this.typedefs.push({
+        type: 'alias',
+        name,
+        description: def.description || '',
+        definition: this.resolvePrimitiveType(def),
       });
     }
 
+    // Nested type definitions may have been generated while resolving the types
+    // of the members, so the generated definition is not necessarily the last one.
+    const typedef = this.typedefs.slice(typedefCount).find((typedef) => typedef.name === name);
+
+    typedef.validator = {
+      name: 'validate' + name,
+      validateSchema: this.scope.import('validation.validateSchema'),
+      issueType: this.scope.import('validation.ValidationIssue'),
+      schema: this.generateValidationSchema(def, direction, true),
+    };
+
     return name;
   }
 
   /**
-   * Generates a method, which corresponds to an API operation.
+   * Defines the symbols for a type definition and it's validator function
+   * without generating them.
    *
-   * @param path - Path of the API endpoint.
-   * @param method - HTTP method.
-   * @param operation - OpenApi operation object.
+   * Used for defining symbols beforehand, so that they can be referenced
+   * before the definitions are generated.
+   *
+   * @param name - Name of the type definition.
+   * @param def - The OpenApi schema object.
+   * @param direction - Either `request` or `response`.
    */
-  generateOperation(path, method, operation) {
-    let name = operation.operationId || operation['x-codegen-method-name'] ||
-      path.replace(/[{}]/g, '').split('/').map(capitalize).join('') + capitalize(method);
+  declareTypedef(name, def, direction = 'response') {
+    const variant = this.getSchemaVariant(def, direction);
 
-    const scopeVariables = ['res'];
+    this.scope.define(name, {
+      spec_path: def.$path,
+      variant,
+    });
 
-    const getUniqueSymbolName = (base) => {
-      let name = base;
-      let nonce = 1;
+    this.scope.define('validate' + name, {
+      validator_for: def.$path,
+      variant,
+    });
+  }
 
-      while (scopeVariables.indexOf(name) !== -1) {
-        nonce += 1;
-        name = `${base}${nonce}`;
+  /**
+   * Generates a TypeScript expression for a schema object used for runtime validation
+   * (see `src/validation.ts`).
+   *
+   * Schemas, which have type definitions generated for them, are referenced using
+   * their validator functions.
+   *
+   * @param schema - The OpenApi schema object.
+   * @param direction - Either `request` or `response`. Properties, which are not
+   *    present in the given direction are not validated.
+   * @param root - If true, the schema is always generated inline, even if a validator
+   *    function exists for it.
+   * @param {Array.<string>} expanding - Paths of the schemas, which are being generated
+   *    inline. A recursive schema, which is reached again, is referenced using a validator
+   *    function instead, which is generated if it does not exist yet.
+   *
+   * @returns String containing a TypeScript expression.
+   */
+  generateValidationSchema(schema, direction, root = false, expanding = []) {
+    if (!root) {
+      const variant = this.getSchemaVariant(schema, direction);
+      const symbol = this.scope.find((entry) =>
+        entry.type === 'definition' &&
+        entry.validator_for === schema.$path &&
+        entry.variant === variant);
+
+      if (symbol) {
+        return this.scope.import(symbol.local_name);
       }
 
-      scopeVariables.push(name);
-      return name;
-    };
+      if (expanding.indexOf(schema.$path) !== -1) {
+        return this.generateRecursiveValidator(schema, direction);
+      }
+    }
 
-    let parameters = (operation.parameters || [])
-      .map((param) => ({
-        argument_name: getUniqueSymbolName(param.name),
-        path_name: param.name,
-        type: this.resolveSchemaType(param.schema),
-        description: param.description,
-      }));
+    expanding = [ ...expanding, schema.$path ];
 
-    let bodyParameter = null;
+    const fields = [`$path: ${JSON.stringify(schema.$path)}`];
+
+    const keywords = [
+      'type', 'nullable', 'enum',
+      'minLength', 'maxLength', 'pattern',
+      'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+      'minItems', 'maxItems', 'uniqueItems',
+    ];
 
-    if (
-      operation.requestBody &&
-      operation.requestBody.content &&
-      operation.requestBody.content['application/json'] &&
-      operation.requestBody.content['application/json'].schema
-    ) {
-      const requestSchema = operation.requestBody.content['application/json'].schema;
-      const requestType = this.resolveSchemaType(requestSchema, capitalize(name) + 'Request');
+    for (const keyword of keywords) {
+      if (schema[keyword] !== undefined) {
+        fields.push(`${keyword}: ${JSON.stringify(schema[keyword])}`);
+      }
+    }
 
-      bodyParameter = getUniqueSymbolName('payload');
+    if (schema.properties) {
+      const isPresent = (prop) =>
+        !(direction === 'request' && prop.readOnly) &&
+        !(direction !== 'request' && prop.writeOnly);
 
-      parameters.push({
-        argument_name: bodyParameter,
-        type: requestType,
-        description: 'Request body',
-      });
+      const properties = Object.entries(schema.properties)
+        .filter(([, prop]) => isPresent(prop))
+        .map(([name, prop]) => `${propertyKey(name)}: ${this.generateValidationSchema(prop, direction, false, expanding)}`);
+
+      const required = (schema.required || [])
+        .filter((name) => !schema.properties[name] || isPresent(schema.properties[name]));
+
+      fields.push(`properties: { ${properties.join(', ')} }`);
+
+      if (required.length > 0) {
+        fields.push(`required: ${JSON.stringify(required)}`);
+      }
+    } else if (schema.required) {
+      fields.push(`required: ${JSON.stringify(schema.required)}`);
     }
 
-    // Extract information about all different responses
-    // (status code and content-type combinations) defined
-    // for this operation.
-    let responses = this.getOperationResponses(operation, name);
+    if (schema.additionalProperties === false) {
+      fields.push('additionalProperties: false');
+    } else if (typeof schema.additionalProperties === 'object') {
+      fields.push(`additionalProperties: ${this.generateValidationSchema(schema.additionalProperties, direction, false, expanding)}`);
+    }
 
-    const returnTypes = responses
-      .map(i => i.returnType)
-      .filter(_.identity);
+    if (schema.items) {
+      fields.push(`items: ${this.generateValidationSchema(schema.items, direction, false, expanding)}`);
+    }
 
-    if (returnTypes.length === 0) {
-      returnTypes.push('void');
+    for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+      if (schema[keyword]) {
+        const members = schema[keyword].map((member) => this.generateValidationSchema(member, direction, false, expanding));
+        fields.push(`${keyword}: [${members.join(', ')}]`);
+      }
     }
 
-    this.operations.push({
-      name,
-      path: this.generatePathExpression(operation, path, parameters),
-      method,
-      jsdoc: this.generateOperationJsdoc(operation),
-      parameters,
-      returnType: removeDuplicates(returnTypes).join(' | '),
-      responseTranslations: responses.filter(r => r.translation),
-      bodyParameter,
-    });
+    if (schema.discriminator && (schema.oneOf || schema.anyOf)) {
+      const mapping = [];
+
+      for (const { schema: member, tags } of this.getDiscriminatedSchemas(schema)) {
+        for (const tag of tags) {
+          mapping.push(`${JSON.stringify(tag)}: ${this.generateValidationSchema(member, direction, false, expanding)}`);
+        }
+      }
+
+      fields.push(`discriminator: { propertyName: ${JSON.stringify(schema.discriminator.propertyName)}, mapping: { ${mapping.join(', ')} } }`);
+    }
+
+    return `{ ${fields.join(', ')} }`;
   }
 
-  getOperationResponses(operation, name) {
-    const responses = [];
+  /**
+   * Generates a validator function for a recursive schema, which does not have a type
+   * definition of it's own, such as an inline schema referencing itself.
+   *
+   * @param schema - The OpenApi schema object.
+   * @param direction - Either `request` or `response`.
+   *
+   * @returns Name of the validator function in the local scope.
+   */
+  generateRecursiveValidator(schema, direction) {
+    const base = 'validate' + capitalize(toIdentifier(schema.$path.split(/[/#]/).filter((part) => part).pop() || 'Schema'));
+    let name = base;
+    let nonce = 1;
+
+    while (this.scope.exists(name)) {
+      nonce += 1;
+      name = `${base}${nonce}`;
+    }
 
-    for (const [statusCode, value] of Object.entries(operation.responses)) {
-      if (!value.content)
-        continue;
+    // The symbol is defined before generating the schema, so that the
+    // recursive references in it refer to the function.
+    this.scope.define(name, {
+      validator_for: schema.$path,
+      variant: this.getSchemaVariant(schema, direction),
+    });
 
-      for (const [contentType, responseDef] of Object.entries(value.content)) {
-        const translation = responseDef['x-codegen-translate-response'];
-        let schema = responseDef.schema;
+    const validator = {
+      name,
+      path: schema.$path,
+      validateSchema: this.scope.import('validation.validateSchema'),
+      issueType: this.scope.import('validation.ValidationIssue'),
+    };
 
-        let response = {
-            statusCode,
-            contentType,
-        };
+    this.validators.push(validator);
+    validator.schema = this.generateValidationSchema(schema, direction, true);
 
-        if (translation) {
-          schema = this.spec.resolveSchemaPath(schema, translation);
-          responses.push({
-            statusCode,
-            contentType,
-            translation,
-          });
-        } else if (schema.type === 'object') {
-          const props = Object.keys(schema.properties || {});
-
-          if (
-            schema.type === 'object' &&
-            schema.properties &&
-            props.length === 1
-          ) {
-            schema = schema.properties[props[0]];
-            response.translation = props[0];
-          }
-        }
+    return name;
+  }
+
+  /**
+   * Generates a map of schemas used to validate the response bodies of an operation.
+   *
+   * @param operation - OpenApi operation object.
+   *
+   * @returns Map from status codes to maps from content types to TypeScript expressions,
+   *    as generated by `generateValidationSchema`.
+   */
+  getResponseSchemas(operation) {
+    const schemas = {};
 
-        response.returnType = this.resolveSchemaType(
-          schema,
-          capitalize(name) + statusCodeNames[parseInt(statusCode)] + 'Response',
-        );
+    for (const [statusCode, value] of Object.entries(operation.responses || {})) {
+      if (!isStatusCode(statusCode))
+        continue;
 
-        responses.push(response);
+      for (const [contentType, responseDef] of Object.entries(value.content || {})) {
+        // Binary bodies are returned as `ArrayBuffer`s, which cannot be validated.
+        if (!responseDef.schema || getResponseCategory(contentType, responseDef.schema) === 'binary')
+          continue;
+
+        schemas[statusCode] = schemas[statusCode] || {};
+        schemas[statusCode][contentType] = this.generateValidationSchema(responseDef.schema, 'response');
       }
     }
 
-    return responses;
+    return schemas;
   }
 
   /**
-   * Creates a TypeScript expression that constructs the URL path for the operation
-   * from operation arguments.
+   * Resolves the types of the members of a union defined using `oneOf` or `anyOf`.
    *
-   * @param {object} operation - Operation definition.
-   * @param {string} path - Path template as defined in the operation definition.
-   * @param {Array.<object>} parameters - List of parameters defined for the operation method.
+   * If the schema has a `discriminator`, each member which has a discriminator value
+   * is intersected with an object type containing the discriminator property,
+   * so that the union can be narrowed by checking the property's value.
    *
-   * @returns A string containing a TypeScript expression.
+   * @param schema - The OpenApi schema object.
+   * @param name - Name of the union type, from which the names of the generated
+   *    member types are derived. Can be undefined.
+   * @param direction - Either `request` or `response`.
+   *
+   * @returns List of objects containing the tagged type of the member, the type
+   *    without the tag and the discriminator values for the member.
    */
-  generatePathExpression(operation, path, parameters) {
-    const inner = path.replace(/{([^}]+)}/g, (_, p1) => {
-      const param = parameters
-        .find((param) => {
-          return param.path_name === p1;
-        });
-
-      if (param === undefined) {
-        throw new Error(`parameter '${p1}' used in path but not defined (${operation.operationId})`);
+  getUnionMembers(schema, name, direction) {
+    const discriminator = schema.discriminator;
+
+    return this.getDiscriminatedSchemas(schema).map((member, i) => {
+      const untaggedType = this.resolveSchemaType(
+        member.schema,
+        name ? `${name}Variant${i}` : undefined,
+        direction,
+      );
+
+      if (member.tags.length === 0) {
+        return { ...member, untaggedType, type: untaggedType };
       }
 
-      return '${' + param.argument_name + '}';
+      const tagType = member.tags.map((tag) => `'${escape(tag, "'")}'`).join(' | ');
+
+      return {
+        ...member,
+        untaggedType,
+        type: `(${untaggedType} & { ${propertyKey(discriminator.propertyName)}: ${tagType} })`,
+      };
     });
+  }
 
-    return '`' + inner + '`';
+  /**
+   * Returns the member schemas of a union defined using `oneOf` or `anyOf`,
+   * together with their discriminator values.
+   *
+   * Discriminator values are taken from the discriminator's `mapping`, or for
+   * members which are not mapped explicitly, from the name of the member schema.
+   * Schemas, which are mapped but not listed as members, are included as well.
+   *
+   * @param schema - The OpenApi schema object.
+   *
+   * @returns List of objects containing the member schema and a list of it's
+   *    discriminator values, which is empty if the union has no discriminator.
+   */
+  getDiscriminatedSchemas(schema) {
+    const discriminator = schema.discriminator;
+
+    const members = (schema.oneOf || schema.anyOf || [])
+      .map((member) => ({ schema: member, tags: [] }));
+
+    if (!discriminator) {
+      return members;
+    }
+
+    for (const [tag, target] of Object.entries(discriminator.mapping || {})) {
+      // Mapping values can be either JSON references or plain schema names.
+      const pointer = target.indexOf('/') === -1 ? formatPointer(['components', 'schemas', target]) : target;
+      let memberSchema;
+
+      try {
+        memberSchema = target.indexOf('/') === -1
+          ? resolveReference(this.spec, pointer)
+          : resolveReference(schema, pointer);
+      } catch (error) {
+        throw new Error(`discriminator mapping '${tag}' points to a nonexistent schema '${target}': ${error.message}`);
+      }
+
+      let member = members.find((member) => member.schema.$path === memberSchema.$path);
+
+      if (member === undefined) {
+        member = { schema: memberSchema, tags: [] };
+        members.push(member);
+      }
+
+      member.tags.push(tag);
+    }
+
+    // Members without an explicit mapping are identified by the name of their schema.
+    const schemas = (this.spec.components && this.spec.components.schemas) || {};
+
+    for (const member of members) {
+      const name = Object.keys(schemas).find((name) => schemas[name].$path === member.schema.$path);
+
+      if (member.tags.length === 0 && name !== undefined) {
+        member.tags.push(name);
+      }
+    }
+
+    return members;
   }
 
   /**
-   * Generates a documentation comment for an API operation.
+   * Generates type guard functions for the members of a discriminated union.
    *
-   * The comment contains summary and description of the operation,
-   * as well as descriptions of any possible parameters.
+   * The guards are named after the member types, for example `isPurchaseEvent`.
    *
-   * @param operation - OpenApi operation object.
+   * @param name - Name of the union type.
+   * @param def - The OpenApi schema object.
+   * @param members - Members of the union, as returned by `getUnionMembers`.
    *
-   * @returns String containing the documentation comment's contents,
-   *    excluding the comment syntax.
+   * @returns List of objects containing the name of the guard, the narrowed type
+   *    and the discriminator values.
    */
-  generateOperationJsdoc(operation) {
-    let jsdoc = operation.summary || '';
+  generateTypeGuards(name, def, members) {
+    if (!def.discriminator) {
+      return [];
+    }
 
-    if (operation.description) {
-      jsdoc += '\n\n' + operation.description;
+    return members
+      .filter((member) => member.tags.length > 0)
+      .map((member) => {
+        let guardName = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(member.untaggedType)
+          ? 'is' + capitalize(member.untaggedType)
+          : 'is' + name + capitalize(toIdentifier(member.tags[0]));
+
+        if (this.scope.exists(guardName)) {
+          guardName = 'is' + name + capitalize(guardName.substring(2));
+        }
+
+        this.scope.define(guardName, {});
+
+        return {
+          name: guardName,
+          unionType: name,
+          type: member.type,
+          untaggedType: member.untaggedType,
+          property: propertyAccessor('value', def.discriminator.propertyName),
+          tags: member.tags.map((tag) => `'${escape(tag, "'")}'`),
+        };
+      });
+  }
+
+  /**
+   * Generates a method, which corresponds to an API operation.
+   *
+   * @param path - Path of the API endpoint.
+   * @param method - HTTP method.
+   * @param operation - OpenApi operation object.
+   * @param pathParameters - Parameters defined for all operations of the path.
+   */
+  generateOperation(path, method, operation, pathParameters = []) {
+    let name = getOperationName(path, method, operation);
+
+    const scopeVariables = ['res'];
+
+    const getUniqueSymbolName = (base) => {
+      let name = base;
+      let nonce = 1;
+
+      while (scopeVariables.indexOf(name) !== -1) {
+        nonce += 1;
+        name = `${base}${nonce}`;
+      }
+
+      scopeVariables.push(name);
+      return name;
+    };
+
+    const operationParameters = this.getOperationParameters(operation, pathParameters)
+      .map((param) => ({
+        path_name: param.name,
+        location: param.in,
+        // Path parameters are always required.
+        required: param.in === 'path' || !!param.required,
+        ...this.getParameterSerialization(param),
+        type: this.resolveSchemaType(param.schema),
+        description: param.description,
+      }));
+
+    // Required parameters are passed as positional arguments.
+    let parameters = operationParameters
+      .filter((param) => param.required)
+      .map((param) => {
+        param.argument_name = getUniqueSymbolName(toIdentifier(param.path_name));
+        param.value = param.argument_name;
+        return param;
+      });
+
+    const serializedParameters = {
+      query: operationParameters.filter((param) => param.location === 'query'),
+      headers: operationParameters.filter((param) => param.location === 'header'),
+      cookies: operationParameters.filter((param) => param.location === 'cookie'),
+    };
+
+    let bodyParameter = null;
+    let requestSchema = null;
+    let requestContentTypes = [];
+
+    if (operation.requestBody && operation.requestBody.content) {
+      const requestBodies = this.getRequestBodies(name, operation.requestBody);
+
+      if (requestBodies.length > 0) {
+        requestContentTypes = requestBodies.map(({ contentType }) => contentType);
+
+        // Only JSON bodies are validated, as the schemas of the other
+        // content types describe the body before serialization.
+        const json = requestBodies.find(({ category }) => category === 'json');
+
+        if (json && json.schema) {
+          requestSchema = this.generateValidationSchema(json.schema, 'request');
+        }
+
+        bodyParameter = getUniqueSymbolName('payload');
+
+        parameters.push({
+          argument_name: bodyParameter,
+          type: removeDuplicates(requestBodies.map(({ type }) => type)).join(' | '),
+          optional: !operation.requestBody.required,
+          description: requestContentTypes.length > 1
+            ? `Request body. The content type can be chosen using \`options.contentType\`, and defaults to \`${requestContentTypes[0]}\`.`
+            : 'Request body',
+        });
+      }
+    }
+
+    // Optional parameters are passed as properties of a trailing options object.
+    const optionalParameters = operationParameters.filter((param) => !param.required);
+    let paramsArgument = null;
+
+    if (optionalParameters.length > 0) {
+      const argumentName = paramsArgument = getUniqueSymbolName('params');
+      const typeName = capitalize(name) + 'Params';
+      const properties = {};
+
+      for (const param of optionalParameters) {
+        let propertyName = toIdentifier(param.path_name);
+        let nonce = 1;
+
+        while (propertyName in properties) {
+          nonce += 1;
+          propertyName = `${toIdentifier(param.path_name)}${nonce}`;
+        }
+
+        properties[propertyName] = {
+          type: param.type,
+          jsdoc: param.description,
+          optional: true,
+        };
+
+        param.property_name = propertyName;
+        param.value = `${argumentName}.${propertyName}`;
+      }
+
+      this.scope.define(typeName, { public: true });
+
+      this.typedefs.push({
+        type: 'object',
+        name: typeName,
+        description: `Optional parameters of the \`${name}\` operation.`,
+        properties,
+      });
+
+      parameters.push({
+        argument_name: argumentName,
+        type: typeName,
+        default: '{}',
+        description: 'Optional parameters',
+      });
+    }
+
+    // Request options, such as the abort signal, are passed in a trailing
+    // options object. Operations marked with `x-codegen-idempotent` also
+    // accept an idempotency key in it.
+    const idempotent = !!operation['x-codegen-idempotent'];
+    const optionsParameter = getUniqueSymbolName('options');
+
+    const contentTypeOption = requestContentTypes.length > 1
+      ? ` & { contentType?: ${requestContentTypes.map((type) => `'${escape(type, "'")}'`).join(' | ')} }`
+      : '';
+
+    parameters.push({
+      argument_name: optionsParameter,
+      type: this.scope.import('client.RequestOptions') + contentTypeOption,
+      default: '{}',
+      description: idempotent
+        ? 'Request options, such as a signal for cancelling the request or an idempotency key'
+        : 'Request options, such as a signal for cancelling the request',
+    });
+
+    // Extract information about all different responses
+    // (status code and content-type combinations) defined
+    // for this operation.
+    let responses = this.getOperationResponses(operation, name);
+    let errors = this.generateOperationErrors(operation, name);
+    let results = null;
+    let returnType;
+
+    if (this.options.responseMode === 'result') {
+      results = this.getOperationResults(operation, responses, errors);
+      returnType = capitalize(name) + 'Result';
+
+      this.scope.define(returnType, { public: true });
+
+      this.typedefs.push({
+        type: 'alias',
+        name: returnType,
+        description: `Possible responses of the \`${name}\` operation.`,
+        definition: results
+          .map(({ statusCode, contentType, type }) =>
+            `{ status: ${statusCode}; contentType: ${contentType ? `'${escape(contentType, "'")}'` : 'null'}; data: ${type} }`)
+          .join('\n  | '),
+      });
+    } else {
+      const returnTypes = responses
+        .map(i => i.returnType)
+        .filter(_.identity);
+
+      if (returnTypes.length === 0) {
+        returnTypes.push('void');
+      }
+
+      returnType = removeDuplicates(returnTypes).join(' | ');
+    }
+
+    const responseSchemas = this.getResponseSchemas(operation);
+    const security = this.getOperationSecurity(operation);
+
+    // Paths, for which cached responses are invalidated by the operation.
+    // Parameters of the operation are substituted, and other path parameters
+    // are left in place as wildcards.
+    const invalidates = (operation['x-codegen-invalidates'] || [])
+      .map((invalidated) => this.generatePathExpression(operation, invalidated, parameters, true));
+
+    const pagination = operation['x-codegen-paginated']
+      ? this.generatePagination(name, operation, parameters, optionalParameters, paramsArgument, responses, results)
+      : null;
+
+    // Operations downloading files, such as report exports, get a companion
+    // method returning the body as a stream.
+    const streamable = this.isDownload(operation, method, responses);
+
+    this.operations.push({
+      name,
+      path: this.generatePathExpression(operation, path, parameters),
+      method,
+      jsdoc: this.generateOperationJsdoc(operation, parameters, security),
+      parameters,
+      serializedParameters,
+      returnType,
+      responseType: responses.some(({ category }) => category === 'binary') ? 'arraybuffer' : null,
+      responseTranslations: this.getResponseTranslations(operation, responses),
+      errors: this.options.responseMode === 'throw' ? errors : [],
+      results,
+      requestSchema,
+      responseSchemas,
+      security: security && security.expression,
+      symbols: results || responses.some(r => r.translation) ? {
+        ApiError: this.scope.import('errors.ApiError'),
+        getMediaType: this.scope.import('client.getMediaType'),
+      } : {},
+      bodyParameter,
+      contentType: requestContentTypes.length > 1
+        ? `${optionsParameter}.contentType || '${escape(requestContentTypes[0], "'")}'`
+        : requestContentTypes.length === 1 && requestContentTypes[0] !== 'application/json'
+          ? `'${escape(requestContentTypes[0], "'")}'`
+          : null,
+      idempotent,
+      optionsParameter,
+      invalidates,
+      pagination: pagination && {
+        ...pagination,
+        jsdoc: this.generateOperationJsdoc({
+          summary: `Iterates over the items on all pages of the \`${name}\` operation.\n` +
+            'The pages are fetched as the items are consumed.',
+        }, parameters, security),
+      },
+      withResponse: {
+        name: `${name}WithResponse`,
+        returnType: `${this.scope.import('client.ApiResponse')}<${returnType}>`,
+        jsdoc: this.generateOperationJsdoc({
+          summary: `Calls the \`${name}\` operation, and returns the status code, the headers and\n` +
+            'the request along with the value returned by it.',
+        }, parameters, security),
+      },
+      stream: streamable && {
+        name: `${name}Stream`,
+        jsdoc: this.generateOperationJsdoc({
+          summary: `Calls the \`${name}\` operation, and returns the body of the response as a stream\n` +
+            'instead of reading it into memory. Useful for large downloads, such as report exports.',
+        }, parameters, security),
+      },
+    });
+  }
+
+  /**
+   * Resolves the information needed for generating an iterator method for a paginated
+   * list operation, as configured using the `x-codegen-paginated` extension.
+   *
+   * The extension is an object with the following properties:
+   *  - `items`: Property of the response body containing the items of the page.
+   *    If omitted, the response body itself is expected to be an array.
+   *  - `cursor` and `nextCursor`: Query parameter, which identifies the page, and
+   *    the property of the response body containing its value for the next page.
+   *  - `offset` and `limit`: Query parameters for the index of the first item and
+   *    the number of items on the page. Used instead of `cursor` and `nextCursor`.
+   *
+   * @param name - Name of the operation method.
+   * @param operation - OpenApi operation object.
+   * @param parameters - Arguments of the operation method.
+   * @param optionalParameters - Parameters passed in the optional parameters object.
+   * @param paramsArgument - Name of the optional parameters argument.
+   * @param responses - Responses of the operation, as returned by `getOperationResponses`.
+   * @param results - Results of the operation, if generating in the `result` response mode.
+   */
+  generatePagination(name, operation, parameters, optionalParameters, paramsArgument, responses, results) {
+    const config = operation['x-codegen-paginated'];
+
+    const findParameter = (paramName) => {
+      const param = optionalParameters.find((p) => p.path_name === paramName && p.location === 'query');
+
+      if (!param) {
+        throw new Error(`x-codegen-paginated of ${name}: '${paramName}' is not an optional query parameter`);
+      }
+
+      return param;
+    };
+
+    let kind;
+
+    if (config.cursor && config.nextCursor) {
+      kind = 'cursor';
+    } else if (config.offset) {
+      kind = 'offset';
+    } else {
+      throw new Error(`x-codegen-paginated of ${name}: either 'cursor' and 'nextCursor' or 'offset' must be defined`);
+    }
+
+    const stateParameter = findParameter(kind === 'cursor' ? config.cursor : config.offset);
+    const limitParameter = kind === 'offset' && config.limit ? findParameter(config.limit) : null;
+
+    // The items are read from the first successful JSON response.
+    const success = Object.entries(operation.responses)
+      .find(([statusCode, response]) => isStatusCode(statusCode) && isSuccessStatus(statusCode) &&
+        response.content && response.content['application/json']);
+
+    if (!success) {
+      throw new Error(`x-codegen-paginated of ${name}: the operation has no successful JSON response`);
+    }
+
+    const [statusCode, response] = success;
+    const bodySchema = response.content['application/json'].schema;
+    const itemsSchema = config.items ? (bodySchema.properties || {})[config.items] : bodySchema;
+
+    if (!itemsSchema || itemsSchema.type !== 'array') {
+      throw new Error(`x-codegen-paginated of ${name}: items must be an array`);
+    }
+
+    const body = results ? 'res.data' : 'res';
+
+    // If the response body is unwrapped by the operation method, it can only
+    // be the items of the page.
+    const { translation } = responses
+      .find((r) => r.statusCode === statusCode && r.contentType === 'application/json');
+
+    if (translation && (translation !== config.items || kind === 'cursor')) {
+      throw new Error(`x-codegen-paginated of ${name}: the response body is unwrapped to '${translation}', ` +
+        'which can be disabled by setting x-codegen-unwrap to false');
+    }
+
+    return {
+      name: name + 'Iter',
+      kind,
+      itemType: this.resolveSchemaType(itemsSchema.items, capitalize(name) + 'Item'),
+      stateType: stateParameter.type,
+      paramsArgument,
+      stateProperty: stateParameter.property_name,
+      limitValue: limitParameter && `${paramsArgument}.${limitParameter.property_name}`,
+      items: config.items && !translation ? propertyAccessor(body, config.items) : body,
+      nextCursor: kind === 'cursor' ? propertyAccessor(body, config.nextCursor) : null,
+      arguments: parameters.map((param) => param.argument_name === paramsArgument
+        ? `{ ...${paramsArgument}, ${stateParameter.property_name}: state }`
+        : param.argument_name),
+      result: results ? { statusCode, contentType: 'application/json' } : null,
+      symbols: {
+        Paginator: this.scope.import('pagination.Paginator'),
+        ApiError: results ? this.scope.import('errors.ApiError') : null,
+      },
+    };
+  }
+
+  /**
+   * Resolves the types of the request bodies of an operation for each content type.
+   *
+   * JSON, `application/x-www-form-urlencoded` and `multipart/form-data` bodies are
+   * passed as objects, and are serialized by the client. Bodies of other content types,
+   * such as `application/octet-stream` or `text/csv`, are passed as binary data or strings.
+   *
+   * @param name - Name of the operation method.
+   * @param requestBody - OpenApi request body object.
+   *
+   * @returns List of objects containing the content type, it's category
+   *    (`json`, `form`, `multipart` or `raw`), the schema and the TypeScript type.
+   */
+  getRequestBodies(name, requestBody) {
+    const suffixes = { json: 'Json', form: 'Form', multipart: 'Multipart', raw: 'Raw' };
+    const names = [];
+
+    return Object.entries(requestBody.content).map(([contentType, mediaType], index) => {
+      const mediaTypeName = contentType.split(';')[0].trim().toLowerCase();
+      let category = 'raw';
+
+      if (/^application\/(.+\+)?json$/.test(mediaTypeName)) {
+        category = 'json';
+      } else if (mediaTypeName === 'application/x-www-form-urlencoded') {
+        category = 'form';
+      } else if (mediaTypeName === 'multipart/form-data') {
+        category = 'multipart';
+      }
+
+      // The first content type gets the plain name, and the others are
+      // distinguished by their category.
+      let typeName = capitalize(name) + (index === 0 ? '' : suffixes[category]) + 'Request';
+
+      while (names.indexOf(typeName) !== -1) {
+        typeName = typeName.replace(/Request$/, '') + (index + 1) + 'Request';
+      }
+
+      names.push(typeName);
+
+      const schema = mediaType.schema;
+      let type;
+
+      if (schema) {
+        type = this.resolveSchemaType(schema, typeName, 'request');
+      } else if (category === 'raw') {
+        type = `${this.scope.import('body.BinaryData')} | string`;
+      } else {
+        type = 'any';
+      }
+
+      return { contentType, category, schema, type };
+    });
+  }
+
+  /**
+   * Returns the parameters of an operation, including the parameters
+   * defined for the path, unless they are overridden by the operation.
+   *
+   * @param operation - OpenApi operation object.
+   * @param pathParameters - Parameters defined for all operations of the path.
+   */
+  getOperationParameters(operation, pathParameters) {
+    const parameters = [ ...(operation.parameters || []) ];
+
+    for (const param of pathParameters) {
+      const overridden = parameters
+        .some((p) => p.name === param.name && p.in === param.in);
+
+      if (!overridden) {
+        parameters.push(param);
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Returns the serialization style of a parameter, applying the defaults
+   * defined by the OpenApi specification for the parameter's location.
+   *
+   * @param param - OpenApi parameter object.
+   *
+   * @returns Object with the properties `style` and `explode`.
+   */
+  getParameterSerialization(param) {
+    const style = param.style || (param.in === 'query' || param.in === 'cookie' ? 'form' : 'simple');
+    const explode = param.explode !== undefined ? !!param.explode : style === 'form';
+
+    return { style, explode };
+  }
+
+  /**
+   * Generates the `Credentials` type and the `securitySchemes` object
+   * from the security schemes defined in the OpenApi document.
+   *
+   * @param schemes - The `securitySchemes` property of the OpenApi components object.
+   */
+  generateSecuritySchemes(schemes) {
+    this.scope.define('Credentials', { public: true });
+    this.scope.define('securitySchemes', { public: true });
+
+    const symbols = {
+      SecurityScheme: this.scope.import('auth.SecurityScheme'),
+      CredentialMap: this.scope.import('auth.CredentialMap'),
+    };
+
+    for (const [name, scheme] of Object.entries(schemes)) {
+      const definition = {
+        name: JSON.stringify(name),
+        type: JSON.stringify(scheme.type),
+      };
+
+      let credentialType = 'string';
+      let summary;
+
+      if (scheme.type === 'http' && (scheme.scheme || '').toLowerCase() === 'basic') {
+        credentialType = '{ username: string; password: string }';
+        summary = 'Username and password for HTTP basic authentication.';
+      } else if (scheme.type === 'http') {
+        summary = `Credential for HTTP ${scheme.scheme} authentication.`;
+      } else if (scheme.type === 'apiKey') {
+        summary = `API key, which is sent in the ${scheme.in} \`${scheme.name}\`.`;
+        definition.in = JSON.stringify(scheme.in);
+        definition.parameterName = JSON.stringify(scheme.name);
+      } else {
+        summary = 'Access token.';
+      }
+
+      if (scheme.scheme) {
+        definition.scheme = JSON.stringify(scheme.scheme);
+      }
+
+      this.securitySchemes.push({
+        key: propertyKey(name),
+        credentialType,
+        jsdoc: summary + (scheme.description ? '\n\n' + scheme.description : ''),
+        definition: '{ ' + Object.entries(definition).map(([k, v]) => `${k}: ${v}`).join(', ') + ' }',
+        symbols,
+      });
+    }
+  }
+
+  /**
+   * Generates the `MockServer` class, which implements a fake of the API for tests,
+   * and the `mockExamples` object containing the default response bodies.
+   *
+   * @param operations - List of the operations of all APIs, each containing
+   *    the `path`, `method` and `operation` properties.
+   */
+  generateMockServer(operations) {
+    this.scope.define('MockServer', { public: true });
+    this.scope.define('MockHandlers', { public: true });
+    this.scope.define('mockExamples', { public: true });
+
+    const symbols = {
+      MockTransport: this.scope.import('transport.MockTransport'),
+      MockHandler: this.scope.import('transport.MockHandler'),
+    };
+
+    this.mockServer = {
+      symbols,
+      operations: operations.map(({ path, method, operation }) => {
+        const name = getOperationName(path, method, operation);
+        const response = this.getExampleResponse(operation);
+
+        return {
+          name,
+          method,
+          path: JSON.stringify(path),
+          jsdoc: `Handler for the \`${name}\` operation (\`${method.toUpperCase()} ${path}\`).`,
+          status: response.status,
+          contentType: response.contentType && JSON.stringify(response.contentType),
+          example: response.example === undefined ? null : JSON.stringify(response.example, null, 2)
+            .replace(/\n/g, '\n  '),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Returns the response, with which the mock server responds to an operation by default.
+   * This is the first successful response defined for the operation.
+   *
+   * @param operation - OpenApi operation object.
+   *
+   * @returns Object containing the status code, the content type and an example body.
+   */
+  getExampleResponse(operation) {
+    const entries = Object.entries(operation.responses || {});
+
+    const [statusCode, response] =
+      entries.find(([statusCode]) => isStatusCode(statusCode) && isSuccessStatus(statusCode)) ||
+      entries.find(([statusCode]) => isSuccessResponse(statusCode)) ||
+      ['200', {}];
+
+    const status = isStatusCode(statusCode) ? parseInt(statusCode, 10) : 200;
+    const content = Object.entries(response.content || {});
+
+    if (content.length === 0) {
+      return { status, contentType: null, example: undefined };
+    }
+
+    // Prefer JSON, as the bodies of other content types are usually not described by a schema.
+    const [contentType, mediaType] = content.find(([type]) => /^application\/(.+\+)?json$/.test(type)) || content[0];
+    let example;
+
+    if (mediaType.example !== undefined) {
+      example = mediaType.example;
+    } else if (mediaType.examples && Object.keys(mediaType.examples).length > 0) {
+      example = Object.values(mediaType.examples)[0].value;
+    } else {
+      example = this.generateExample(mediaType.schema);
+    }
+
+    return { status, contentType, example };
+  }
+
+  /**
+   * Prints a warning about the generated code, unless the same warning has already been printed.
+   *
+   * @param message - The warning message.
+   */
+  warn(message) {
+    if (!this.warnings.has(message)) {
+      this.warnings.add(message);
+      console.warn(`Warning: ${message}`);
+    }
+  }
+
+  /**
+   * Creates an example value, which is valid against the given schema.
+   *
+   * Uses the `example` and `default` properties of the schemas when available,
+   * and otherwise synthesizes a value from the type and the constraints of the schema.
+   * Properties, which are `writeOnly`, are omitted.
+   *
+   * @param schema - The OpenApi schema object.
+   * @param {Set.<string>} visiting - Paths of the schemas, for which an example is being
+   *    generated. Used to avoid infinite recursion with recursive schemas.
+   * @param index - Position of the value in the enclosing array. Synthesized values
+   *    differ between positions where possible, so that `uniqueItems` is satisfied.
+   *
+   * @returns The example value, or undefined if one cannot be created without recursion
+   *    or the `pattern` of a string schema is not supported.
+   */
+  generateExample(schema, visiting = new Set(), index = 0) {
+    if (!schema) {
+      return undefined;
+    }
+
+    if (schema.example !== undefined) {
+      return schema.example;
+    }
+
+    if (schema.default !== undefined) {
+      return schema.default;
+    }
+
+    if (schema.enum) {
+      return schema.enum[index % schema.enum.length];
+    }
+
+    if (visiting.has(schema.$path)) {
+      return undefined;
+    }
+
+    visiting = new Set(visiting).add(schema.$path);
+
+    if (schema.allOf) {
+      return Object.assign({}, ...schema.allOf.map((member) => this.generateExample(member, visiting, index)));
+    }
+
+    if (schema.oneOf || schema.anyOf) {
+      const { schema: member, tags } = this.getDiscriminatedSchemas(schema)[0];
+      const example = this.generateExample(member, visiting, index);
+
+      if (schema.discriminator && tags.length > 0) {
+        return { ...example, [schema.discriminator.propertyName]: tags[0] };
+      }
+
+      return example;
+    }
+
+    switch (schema.type) {
+      case 'object': {
+        const example = {};
+        const required = schema.required || [];
+
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          if (property.writeOnly) {
+            continue;
+          }
+
+          const value = this.generateExample(property, visiting, index);
+
+          // Optional properties, which would lead to infinite recursion, are left out.
+          if (value !== undefined || required.indexOf(name) !== -1) {
+            example[name] = value;
+          }
+        }
+
+        return example;
+      }
+
+      case 'array': {
+        const count = Math.max(schema.minItems || 0, schema.maxItems === 0 ? 0 : 1);
+        const items = [];
+
+        for (let i = 0; i < count; i++) {
+          const item = this.generateExample(schema.items, visiting, i);
+
+          if (item === undefined) {
+            return [];
+          }
+
+          items.push(item);
+        }
+
+        const serialized = items.map((item) => JSON.stringify(item));
+
+        if (schema.uniqueItems && serialized.some((item, i) => serialized.indexOf(item) !== i)) {
+          this.warn(`The example for ${schema.$path} contains duplicate items, although uniqueItems is set.`);
+        }
+
+        return items;
+      }
+
+      case 'integer':
+      case 'number': {
+        let value = schema.minimum !== undefined ? schema.minimum : Math.min(0, schema.maximum || 0);
+
+        if (schema.exclusiveMinimum) {
+          value += schema.type === 'integer' ? 1 : 0.5;
+        } else if (schema.exclusiveMaximum && value === schema.maximum) {
+          value -= 1;
+        }
+
+        if (schema.multipleOf) {
+          value = Math.ceil(value / schema.multipleOf) * schema.multipleOf;
+        }
+
+        const step = schema.multipleOf || 1;
+        const varied = value + index * step;
+
+        if (schema.maximum === undefined || varied < schema.maximum || (varied === schema.maximum && !schema.exclusiveMaximum)) {
+          value = varied;
+        }
+
+        return value;
+      }
+
+      case 'boolean':
+        return index % 2 === 1;
+
+      case 'string': {
+        const formats = {
+          'date-time': '2020-01-01T00:00:00.000Z',
+          'date': '2020-01-01',
+          'email': 'user@example.com',
+          'uuid': '00000000-0000-4000-8000-000000000000',
+          'uri': 'https://example.com/',
+        };
+
+        if (schema.pattern !== undefined) {
+          const value = formats[schema.format] !== undefined && new RegExp(schema.pattern).test(formats[schema.format])
+            ? formats[schema.format]
+            : generatePatternExample(schema.pattern);
+
+          const tooShort = value !== undefined && schema.minLength !== undefined && value.length < schema.minLength;
+          const tooLong = value !== undefined && schema.maxLength !== undefined && value.length > schema.maxLength;
+
+          if (value === undefined || tooShort || tooLong) {
+            this.warn(`Cannot create an example for ${schema.$path} matching the pattern ${schema.pattern}. Provide one with the example property.`);
+            return undefined;
+          }
+
+          return value;
+        }
+
+        let value = formats[schema.format] || (index > 0 ? `string${index}` : 'string');
+
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+          value = value + 'x'.repeat(schema.minLength - value.length);
+        }
+
+        if (schema.maxLength !== undefined) {
+          value = value.substring(0, schema.maxLength);
+        }
+
+        return value;
+      }
+
+      default:
+        return schema.nullable ? null : {};
+    }
+  }
+
+  /**
+   * Resolves the security requirements of an operation.
+   *
+   * @param operation - OpenApi operation object.
+   *
+   * @returns Object with a TypeScript expression for the `security` request argument
+   *    and the names of the schemes in each alternative requirement, or null if no
+   *    security requirements are defined for the operation or the whole API.
+   */
+  getOperationSecurity(operation) {
+    const requirements = operation.security !== undefined ? operation.security : this.spec.security;
+
+    if (requirements === undefined) {
+      return null;
+    }
+
+    const schemes = (this.spec.components && this.spec.components.securitySchemes) || {};
+    const alternatives = requirements.map((requirement) => Object.keys(requirement));
+
+    for (const name of [].concat(...alternatives)) {
+      if (!(name in schemes)) {
+        throw new Error(`security scheme '${name}' is used but not defined (${operation.operationId})`);
+      }
+    }
+
+    const securitySchemes = alternatives.length > 0 ? this.scope.import('security.securitySchemes') : null;
+
+    return {
+      alternatives,
+      expression: '[' + alternatives
+        .map((alternative) => '[' + alternative.map((name) => propertyAccessor(securitySchemes, name)).join(', ') + ']')
+        .join(', ') + ']',
+    };
+  }
+
+  /**
+   * Generates an error class for each documented non-2xx response of an operation,
+   * including the `default` response and ranges such as `4XX`.
+   *
+   * The classes extend `ApiError` and are named after the operation and the status code,
+   * for example `BuyProductConflictError` or `BuyProductDefaultError`. Their type parameter
+   * is the type of the response body.
+   *
+   * @param operation - OpenApi operation object.
+   * @param name - Name of the operation method.
+   *
+   * @returns List of objects containing the status code, the name of the
+   *    corresponding error class and the body types for each content type.
+   */
+  generateOperationErrors(operation, name) {
+    const errors = [];
+
+    for (const [statusCode, value] of Object.entries(operation.responses || {})) {
+      if (isSuccessResponse(statusCode))
+        continue;
+
+      // Ranges are matched in upper case by `Client.sendOrThrow`.
+      const key = isStatusCode(statusCode) || statusCode === 'default' ? statusCode : statusCode.toUpperCase();
+      const statusName = getStatusCodeName(key);
+      const contentTypes = Object.entries(value.content || {})
+        .filter(([, responseDef]) => responseDef.schema)
+        .map(([contentType, responseDef]) => ({
+          contentType,
+          type: this.resolveSchemaType(
+            responseDef.schema,
+            capitalize(name) + statusName + 'Response',
+          ),
+        }));
+
+      const bodyTypes = removeDuplicates(contentTypes.map(({ type }) => type));
+      const className = capitalize(name) + statusName + 'Error';
+
+      // In the `result` mode errors are returned instead of thrown,
+      // so there is no need for the error classes.
+      if (this.options.responseMode === 'throw') {
+        const baseClass = this.scope.import('errors.ApiError');
+
+        this.scope.define(className, { public: true });
+
+        this.errors.push({
+          name: className,
+          baseClass,
+          bodyType: bodyTypes.length > 0 ? bodyTypes.join(' | ') : 'unknown',
+          description: value.description || '',
+        });
+      }
+
+      errors.push({
+        statusCode,
+        key: isStatusCode(key) ? key : `'${key}'`,
+        className,
+        contentTypes,
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Collects all documented status code and content type combinations of an operation
+   * for the `result` response mode.
+   *
+   * Responses without content are included with a `null` content type.
+   *
+   * @param operation - OpenApi operation object.
+   * @param responses - Successful responses, as returned by `getOperationResponses`.
+   * @param errors - Error responses, as returned by `generateOperationErrors`.
+   *
+   * @returns List of objects with the status code, content type, the type of the
+   *    returned data and the expression extracting it from the response body.
+   */
+  getOperationResults(operation, responses, errors) {
+    const results = [];
+
+    for (const statusCode of Object.keys(operation.responses || {})) {
+      if (!isStatusCode(statusCode))
+        continue;
+
+      let variants;
+
+      if (isSuccessStatus(statusCode)) {
+        variants = responses
+          .filter((response) => response.statusCode === statusCode)
+          .map(({ contentType, returnType, accessor }) => ({
+            contentType,
+            type: returnType,
+            accessor,
+          }));
+      } else {
+        variants = errors
+          .find((error) => error.statusCode === statusCode)
+          .contentTypes;
+      }
+
+      if (variants.length === 0) {
+        results.push({
+          statusCode,
+          contentType: null,
+          type: 'undefined',
+          matchContentType: false,
+        });
+      }
+
+      for (const variant of variants) {
+        results.push({
+          statusCode,
+          ...variant,
+          // Only check the content type when it is needed to tell the responses apart.
+          matchContentType: variants.length > 1,
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Determines how the value returned by an operation is extracted from the response
+   * in the `throw` response mode, when some of the responses are unwrapped.
+   *
+   * The unwrapping is chosen based on the status code, and the content type only when
+   * needed to tell the responses apart. Responses, which are not documented, cannot be
+   * unwrapped, and are thrown as `ApiError`s unless the operation has a `2XX` response.
+   *
+   * @param operation - OpenApi operation object.
+   * @param responses - Successful responses, as returned by `getOperationResponses`.
+   *
+   * @returns List of objects with a TypeScript condition matching the response, or null
+   *    if the response matches any remaining response, and the expression extracting the
+   *    returned value, or null if the body is returned as it is. Null if no response
+   *    is unwrapped.
+   */
+  getResponseTranslations(operation, responses) {
+    if (!responses.some((response) => response.translation)) {
+      return null;
+    }
+
+    const statusCodes = Object.keys(operation.responses)
+      .filter((statusCode) => isSuccessResponse(statusCode))
+      // The `2XX` range is matched last.
+      .sort((a, b) => (isStatusCode(a) ? 0 : 1) - (isStatusCode(b) ? 0 : 1));
+
+    const translations = [];
+
+    for (const statusCode of statusCodes) {
+      const variants = responses.filter((response) => response.statusCode === statusCode);
+
+      if (variants.length === 0 && isStatusCode(statusCode)) {
+        translations.push({ condition: `res.status === ${statusCode}`, accessor: null });
+      }
+
+      for (const { contentType, translation, accessor } of variants) {
+        const condition = [
+          ...(isStatusCode(statusCode) ? [`res.status === ${statusCode}`] : []),
+          ...(variants.length > 1 ? [`${this.scope.import('client.getMediaType')}(res.headers) === '${escape(contentType, "'")}'`] : []),
+        ];
+
+        translations.push({
+          condition: condition.length > 0 ? condition.join(' && ') : null,
+          accessor: translation ? accessor : null,
+        });
+      }
+    }
+
+    return translations;
+  }
+
+  /**
+   * Collects the successful responses of an operation, and resolves the type
+   * of the value returned for each of them.
+   *
+   * JSON responses are returned as typed objects, text responses as strings and
+   * binary responses as `ArrayBuffer`s.
+   *
+   * @param operation - OpenApi operation object.
+   * @param name - Name of the operation method.
+   *
+   * @returns List of objects with the status code, the content type, the category
+   *    of the body (see `getResponseCategory`), the returned type, and for JSON responses,
+   *    the unwrapped path and the expression extracting the returned value
+   *    (see `getResponseUnwrapping`).
+   */
+  getOperationResponses(operation, name) {
+    const responses = [];
+
+    for (const [statusCode, value] of Object.entries(operation.responses)) {
+      // Error responses, including `default` and ranges such as `4XX`, are thrown
+      // as exceptions instead of being returned. See `generateOperationErrors`.
+      if (!value.content || !isSuccessResponse(statusCode))
+        continue;
+
+      for (const [contentType, responseDef] of Object.entries(value.content)) {
+        const translation = responseDef['x-codegen-translate-response'];
+        const schema = responseDef.schema;
+
+        let response = {
+            statusCode,
+            contentType,
+            category: getResponseCategory(contentType, schema),
+        };
+
+        if (response.category === 'text') {
+          response.returnType = 'string';
+        } else if (response.category === 'binary') {
+          response.returnType = 'ArrayBuffer';
+        } else {
+          const unwrapped = this.getResponseUnwrapping(operation, name, schema, translation);
+
+          response.translation = unwrapped.path;
+          response.accessor = unwrapped.accessor;
+
+          response.returnType = this.resolveSchemaType(
+            unwrapped.schema,
+            capitalize(name) + getStatusCodeName(statusCode) + 'Response',
+          ) + (unwrapped.optional ? ' | undefined' : '');
+        }
+
+        responses.push(response);
+      }
+    }
+
+    return responses;
+  }
+
+  /**
+   * Determines the part of a JSON response body, which is returned by the operation method.
+   *
+   * The property to return can be chosen using the `x-codegen-translate-response` extension
+   * of the media type object, which is a dot-separated path of properties, such as `data.items`.
+   * Otherwise, if the body is an object with a single property, the value of that property
+   * is returned, unless disabled by setting `x-codegen-unwrap` to false for the operation
+   * or for one of it's tags.
+   *
+   * @param operation - OpenApi operation object.
+   * @param name - Name of the operation method.
+   * @param schema - Schema of the response body. Can be undefined.
+   * @param translation - Value of the `x-codegen-translate-response` extension, if any.
+   *
+   * @returns Object containing the unwrapped path (undefined if the body is returned as is),
+   *    an expression extracting the value from `res.data`, the schema of the value and
+   *    whether the value can be undefined, because the path contains optional properties.
+   */
+  getResponseUnwrapping(operation, name, schema, translation) {
+    let path = [];
+
+    if (translation !== undefined) {
+      path = String(translation).split('.');
+
+      if (path.some((part) => part.length === 0)) {
+        throw new Error(`x-codegen-translate-response of ${name}: invalid path '${translation}'`);
+      }
+    } else if (this.isUnwrapEnabled(operation) && schema && schema.type === 'object') {
+      const props = Object.keys(schema.properties || {});
+
+      if (props.length === 1 && !schema.additionalProperties) {
+        path = props;
+      }
+    }
+
+    let accessor = 'res.data';
+    let optional = false;
+
+    for (const part of path) {
+      const property = findProperty(schema, part);
+
+      if (!property) {
+        throw new Error(`x-codegen-translate-response of ${name}: property '${part}' of '${translation}' is not defined in the response schema`);
+      }
+
+      accessor = propertyAccessor(accessor, part, optional);
+      optional = optional || !property.required;
+      schema = property.schema;
+    }
+
+    return {
+      path: path.length > 0 ? path.join('.') : undefined,
+      accessor,
+      schema,
+      optional,
+    };
+  }
+
+  /**
+   * Returns true if single-property response bodies of the operation are unwrapped.
+   * Configured using the `x-codegen-unwrap` extension, which can be set for an
+   * operation or a tag. The setting of the operation takes precedence.
+   *
+   * @param operation - OpenApi operation object.
+   */
+  isUnwrapEnabled(operation) {
+    if (operation['x-codegen-unwrap'] !== undefined) {
+      return operation['x-codegen-unwrap'] !== false;
+    }
+
+    const tag = (operation.tags || [])
+      .map((tag) => (this.spec.tags || []).find((def) => def.name === tag))
+      .find((def) => def && def['x-codegen-unwrap'] !== undefined);
+
+    return tag ? tag['x-codegen-unwrap'] !== false : true;
+  }
+
+  /**
+   * Returns true if the operation downloads a file, such as an image or a CSV report.
+   *
+   * Binary responses, text responses to GET requests and responses with a `Content-Disposition`
+   * header are considered downloads, but for example plain text responses to uploads are not.
+   * The detection can be overridden by setting `x-codegen-stream` in the operation.
+   *
+   * @param operation - OpenApi operation object.
+   * @param method - HTTP method of the operation.
+   * @param responses - Success responses of the operation (see `getOperationResponses`).
+   */
+  isDownload(operation, method, responses) {
+    if (operation['x-codegen-stream'] !== undefined) {
+      return operation['x-codegen-stream'] !== false;
+    }
+
+    return responses.some(({ statusCode, category }) => {
+      const headers = Object.keys(operation.responses[statusCode].headers || {});
+
+      return category === 'binary'
+        || (category === 'text' && method.toLowerCase() === 'get')
+        || (category !== 'json' && headers.some((header) => header.toLowerCase() === 'content-disposition'));
+    });
+  }
+
+  /**
+   * Creates a TypeScript expression that constructs the URL path for the operation
+   * from operation arguments.
+   *
+   * @param {object} operation - Operation definition.
+   * @param {string} path - Path template as defined in the operation definition.
+   * @param {Array.<object>} parameters - List of parameters defined for the operation method.
+   * @param {boolean} allowUnknown - If true, parameters not defined for the operation
+   *    are left in the path as they are, instead of throwing an error.
+   *
+   * @returns A string containing a TypeScript expression.
+   */
+  generatePathExpression(operation, path, parameters, allowUnknown = false) {
+    const inner = path.replace(/{([^}]+)}/g, (match, p1) => {
+      const param = parameters
+        .find((param) => {
+          return param.location === 'path' && param.path_name === p1;
+        });
+
+      if (param === undefined && allowUnknown) {
+        return match;
+      } else if (param === undefined) {
+        throw new Error(`parameter '${p1}' used in path but not defined (${operation.operationId})`);
+      }
+
+      return '${encodeURIComponent(String(' + param.argument_name + '))}';
+    });
+
+    return '`' + inner + '`';
+  }
+
+  /**
+   * Generates a documentation comment for an API operation.
+   *
+   * The comment contains summary and description of the operation,
+   * as well as descriptions of any possible parameters.
+   *
+   * @param operation - OpenApi operation object.
+   * @param parameters - List of parameters defined for the operation method.
+   * @param security - Security requirements, as returned by `getOperationSecurity`.
+   *
+   * @returns String containing the documentation comment's contents,
+   *    excluding the comment syntax.
+   */
+  generateOperationJsdoc(operation, parameters, security) {
+    let jsdoc = operation.summary || '';
+
+    if (operation.description) {
+      jsdoc += '\n\n' + operation.description;
+    }
+
+    if (security) {
+      const alternatives = security.alternatives
+        .filter((alternative) => alternative.length > 0)
+        .map((alternative) => alternative.map((name) => `\`${name}\``).join(' and '));
+
+      if (alternatives.length === 0) {
+        jsdoc += '\n\nDoes not require authentication.';
+      } else if (alternatives.length < security.alternatives.length) {
+        jsdoc += `\n\nAuthentication is optional (${alternatives.join(', or ')}).`;
+      } else {
+        jsdoc += `\n\nRequires authentication (${alternatives.join(', or ')}).`;
+      }
     }
 
-    if (operation.parameters) {
+    if (parameters) {
       let paramlines = [];
 
-      for (let param of operation.parameters) {
+      for (let param of parameters) {
         if (param.description) {
-          paramlines.push(`@param ${param.name} - ${param.description}`);
+          paramlines.push(`@param ${param.argument_name} - ${param.description}`);
         }
       }
 
@@ -517,6 +2167,10 @@ class FileCodegen {
           };
         }),
       typedefs: this.typedefs,
+      validators: this.validators,
+      securitySchemes: this.securitySchemes,
+      mockServer: this.mockServer,
+      errors: this.errors,
       apis: this.name ? [{
         name: this.name,
         operations: this.operations,
@@ -531,11 +2185,11 @@ class FileCodegen {
   }
 }
 
-module.exports = function codegen(filename) {
+module.exports = function codegen(filename, options = {}) {
   return stream.Readable.from(async function* () {
     const contents = await readFile(filename);
     const spec = yaml.safeLoad(contents);
-    const codegen = new Codegen(createOpenApiObject(spec));
+    const codegen = new Codegen(createOpenApiObject(spec, filename), options);
     yield* codegen.generate();
   }());
 }
@@ -1,3 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const yaml = require('js-yaml');
+
+/**
+ * Unescapes a reference token of a JSON pointer, as defined in RFC 6901.
+ */
+function unescapeToken(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Escapes a property name for use as a reference token of a JSON pointer.
+ */
+function escapeToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Parses a JSON pointer in the URI fragment form, such as `#/components/schemas/Product`.
+ *
+ * @returns List of the unescaped reference tokens.
+ */
+function parsePointer(pointer) {
+  const decoded = decodeURIComponent(pointer.replace(/^#/, ''));
+
+  if (decoded === '') {
+    return [];
+  }
+
+  if (decoded[0] !== '/') {
+    throw new Error(`invalid JSON pointer '${pointer}'`);
+  }
+
+  return decoded.substring(1).split('/').map(unescapeToken);
+}
+
+/**
+ * Formats a list of reference tokens as a JSON pointer in the URI fragment form.
+ */
+function formatPointer(tokens) {
+  return '#' + tokens.map((token) => '/' + escapeToken(token)).join('');
+}
+
 /**
  * Resolve the given JSON pointer in relation to the given document.
  *
@@ -7,14 +52,14 @@
  * @returns A value from doc to which pointer points.
  */
 function resolve(doc, pointer) {
-  const parts = pointer.substring(2).split('/');
+  const parts = parsePointer(pointer);
 
   let ret = doc;
 
   for (const part of parts) {
     if (Array.isArray(ret)) {
       ret = ret[parseInt(part)];
-    } else if (typeof ret === 'object') {
+    } else if (ret !== null && typeof ret === 'object') {
       ret = ret[part];
     } else {
       return undefined;
@@ -25,87 +70,166 @@ function resolve(doc, pointer) {
 }
 
 /**
- * Recursively dereferences doc. Resolves all internal references in relation
- * to root.
+ * Returns the document stored in the given file, loading it if it has not been loaded yet.
+ * Both YAML and JSON documents are supported.
+ *
+ * @param context - Loading context, as created by `createOpenApiObject`.
+ * @param file - Absolute path of the file.
+ */
+function loadDocument(context, file) {
+  if (!Object.prototype.hasOwnProperty.call(context.documents, file)) {
+    context.documents[file] = yaml.safeLoad(String(fs.readFileSync(file)));
+  }
+
+  return context.documents[file];
+}
+
+/**
+ * Splits a reference into the file, which contains the referenced value, and
+ * the reference tokens of the value's location in that file.
  *
- * @param doc - A value to be dereferenced.
- * @param root - Object in relation to which all references are resolved.
- *               If not defined, defaults to doc itself.
+ * References can be local (`#/components/schemas/Product`), relative to the
+ * file containing the reference (`schemas.yaml#/Product`), or `file://` URLs.
  *
- * @returns The given value, but with all contained references replaced
- *          with the values they pointed to.
+ * @param context - Loading context, as created by `createOpenApiObject`.
+ * @param file - Absolute path of the file containing the reference.
+ * @param ref - Value of the `$ref` property.
  */
-function deref(doc, path = '#', root = undefined) {
-  let _root = doc;
+function parseReference(context, file, ref) {
+  const index = ref.indexOf('#');
+  const uri = index === -1 ? ref : ref.substring(0, index);
+  const tokens = parsePointer(index === -1 ? '' : ref.substring(index));
 
-  if (root !== undefined) {
-    _root = root;
+  if (uri === '') {
+    return { file, tokens };
   }
 
-  let ret;
-
-  if (Array.isArray(doc)) {
-    ret = doc.map((item, index) => deref(item, `${path}/${index}`, root));
-  } else if (typeof doc === 'object') {
-    if (doc.$ref !== undefined) {
-      path = doc.$ref;
-      ret = {
-        '$ref': doc.$ref,
-        ... deref(resolve(_root, doc.$ref), doc.$ref, _root),
-      };
-    } else {
-      const _ret = {};
-
-      for (const [prop, value] of Object.entries(doc)) {
-        _ret[prop] = deref(value, `${path}/${prop.replace(/\//g, '\\/')}`, _root);
-      }
+  if (/^file:/i.test(uri)) {
+    return { file: url.fileURLToPath(uri), tokens };
+  }
 
-      ret = _ret;
-    }
-  } else {
-    ret = doc;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+    throw new Error(`unsupported $ref '${ref}': only local and file references are supported`);
   }
 
-  if (ret !== undefined) {
-    ret.$path = path;
+  const base = file === null ? process.cwd() : path.dirname(file);
+
+  return { file: path.resolve(base, decodeURI(uri)), tokens };
+}
+
+/**
+ * Returns the `$path` of a location. Locations in the root document are identified by
+ * JSON pointers, such as `#/components/schemas/Product`, and locations in other files
+ * are prefixed with the path of the file relative to the root document.
+ */
+function formatLocation(context, file, tokens) {
+  if (file === context.rootFile) {
+    return formatPointer(tokens);
   }
 
-  return ret;
+  const base = context.rootFile === null ? process.cwd() : path.dirname(context.rootFile);
+  const relative = path.relative(base, file).split(path.sep).join('/');
+
+  return relative + formatPointer(tokens);
 }
 
 /**
- * Creates a Proxy object, which lazily dereferences any internal references in the document
- * and adds a `$path` property to all objects which contains the location of that object
- * in relation to the document's root.
+ * Follows the value, and the values it references in turn, until a value, which
+ * is not a reference, is reached.
  *
- * The added `$path` property is immutable and non-enumerable.
+ * @param context - Loading context, as created by `createOpenApiObject`.
+ * @param location - File and reference tokens of the value.
+ * @param value - The value, which can be a reference.
+ * @param {Array.<string>} resolving - Locations, which are being resolved.
+ *    Used for detecting circular references.
  *
- * @param {any} value - If the value is not object or array, it is returned as-is.
- * @param {string} path - Path of the value in relation to `_root`. Defaults to `#`.
- * @param {object} _root - Root of the document, which is used to resolve any references
- *    in `value`. Defaults to `value` itself.
+ * @returns The file, the reference tokens and the value of the final location.
+ */
+function followReferences(context, location, value, resolving = []) {
+  while (value !== null && typeof value === 'object' && typeof value.$ref === 'string') {
+    const target = parseReference(context, location.file, value.$ref);
+    const resolved = resolveLocation(context, target, resolving);
+
+    location = resolved;
+    value = resolved.value;
+  }
+
+  return { ...location, value };
+}
+
+/**
+ * Resolves the value at a location, following any references on the way.
  *
- * @returns Lazily dereferencing Proxy object for `value`.
+ * @param context - Loading context, as created by `createOpenApiObject`.
+ * @param target - File and reference tokens of the location.
+ * @param {Array.<string>} resolving - Locations, which are being resolved.
+ *    If the location is among them, the references are circular.
+ *
+ * @returns The file, the reference tokens and the value of the location,
+ *    after following the references.
  */
-const createOpenApiObject = (value, path = '#', _root = null) => {
-  let root = _root;
+function resolveLocation(context, target, resolving = []) {
+  const key = formatLocation(context, target.file, target.tokens);
 
-  if (root === null) {
-    root = value;
+  if (Object.prototype.hasOwnProperty.call(context.resolved, key)) {
+    return context.resolved[key];
   }
 
-  // If value contains a reference, resolve the reference for a new value.
-  if (value && value.$ref) {
-    path = value.$ref;
-    value = resolve(root, value.$ref);
+  if (resolving.indexOf(key) !== -1) {
+    throw new Error(`circular $ref: ${[ ...resolving, key ].join(' -> ')}`);
   }
 
+  resolving = [ ...resolving, key ];
+
+  let location = { file: target.file, tokens: [] };
+  let value = target.file === context.rootFile ? context.root : loadDocument(context, target.file);
+
+  for (const token of target.tokens) {
+    ({ value, ...location } = followReferences(context, location, value, resolving));
+
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, token)) {
+      throw new Error(`$ref points to a nonexistent location '${key}'`);
+    }
+
+    location = { file: location.file, tokens: [ ...location.tokens, token ] };
+    value = value[token];
+  }
+
+  const resolved = followReferences(context, location, value, resolving);
+
+  context.resolved[key] = resolved;
+
+  return resolved;
+}
+
+/**
+ * Key of the property, through which the Proxy objects expose their
+ * loading context and location. See `resolveReference`.
+ */
+const LOCATION = Symbol('location');
+
+/**
+ * Creates a Proxy object for a value at the given location.
+ * See `createOpenApiObject`.
+ */
+function createNode(context, location, value) {
+  // If value contains a reference, resolve the reference for a new value.
+  ({ value, ...location } = followReferences(context, location, value));
+
   // We cannot define new properties for plain-old-data types,
   // so we'll just return them as-is.
-  if (typeof value !== 'object') {
+  if (value === null || typeof value !== 'object') {
     return value;
   }
 
+  // Proxies are cached by location, so that the same value is
+  // represented by the same object regardless of how it is reached.
+  const key = formatLocation(context, location.file, location.tokens);
+
+  if (Object.prototype.hasOwnProperty.call(context.nodes, key)) {
+    return context.nodes[key];
+  }
+
   // Afaik, there is no way to clone both Arrays and Object using a single method,
   // in a way that preserves arrays correctly.
   if (Array.isArray(value)) {
@@ -117,26 +241,95 @@ const createOpenApiObject = (value, path = '#', _root = null) => {
   Object.defineProperty(value, '$path', {
     enumerable: false,
     writable: false,
-    value: path,
+    value: key,
   });
 
-  return new Proxy(value, {
+  const node = new Proxy(value, {
     get (target, prop, receiver) {
-      let _path = null;
-
       // prop is not neccessairly a string or number in normal operation.
       // For example, Iterators use internally Symbol-objects as property keys.
-      if (typeof prop === 'string' || typeof prop === 'number') {
-        _path = path + '/' + prop;
+      if (prop === LOCATION) {
+        return { context, location };
+      }
+
+      if (typeof prop !== 'string' && typeof prop !== 'number') {
+        return target[prop];
       }
 
-      return createOpenApiObject(target[prop], _path, root);
+      if (prop === '$path' || !Object.prototype.hasOwnProperty.call(target, prop)) {
+        return target[prop];
+      }
+
+      return createNode(context, { file: location.file, tokens: [ ...location.tokens, String(prop) ] }, target[prop]);
     }
   });
+
+  context.nodes[key] = node;
+
+  return node;
+}
+
+/**
+ * Creates a Proxy object, which lazily dereferences any references in the document
+ * and adds a `$path` property to all objects which contains the location of that object.
+ *
+ * Besides references within the document, references to other files are supported,
+ * either relative to the referencing file or as `file://` URLs. The referenced files
+ * are loaded when they are first needed. JSON pointers are unescaped according to RFC 6901.
+ *
+ * The `$path` of an object identifies the location, where the object is defined, after
+ * following any references. Thus an object has the same `$path` regardless of how it is
+ * reached. For objects in the document itself, `$path` is a JSON pointer such as
+ * `#/components/schemas/Product`, and for objects in other files the pointer is prefixed
+ * with the path of the file relative to the document, such as `schemas.yaml#/Product`.
+ *
+ * The added `$path` property is immutable and non-enumerable.
+ *
+ * @param {any} value - The parsed document. If the value is not object or array, it is returned as-is.
+ * @param {string} filename - Path of the document's file, in relation to which references
+ *    to other files are resolved. Defaults to the current working directory.
+ *
+ * @throws Error if a reference is circular, or points to a nonexistent location.
+ *
+ * @returns Lazily dereferencing Proxy object for `value`.
+ */
+const createOpenApiObject = (value, filename = null) => {
+  const context = {
+    root: value,
+    rootFile: filename === null ? null : path.resolve(filename),
+    documents: {},
+    resolved: {},
+    nodes: {},
+  };
+
+  return createNode(context, { file: context.rootFile, tokens: [] }, value);
 };
 
+/**
+ * Resolves a reference in relation to an object returned by `createOpenApiObject`,
+ * in the same way as a `$ref` property of the object would be resolved.
+ * Used for references, which are not in `$ref` properties, such as the
+ * mapping of a discriminator.
+ *
+ * @param node - Object containing the reference.
+ * @param {string} ref - The reference, such as `#/components/schemas/Product`
+ *    or `events.yaml#/Purchase`.
+ *
+ * @throws Error if the reference is circular, or points to a nonexistent location.
+ *
+ * @returns Lazily dereferencing Proxy object for the referenced value.
+ */
+function resolveReference(node, ref) {
+  const { context, location } = node[LOCATION];
+  const resolved = resolveLocation(context, parseReference(context, location.file, ref));
+
+  return createNode(context, resolved, resolved.value);
+}
+
 module.exports = {
   resolve,
-  deref,
+  parsePointer,
+  formatPointer,
+  resolveReference,
   createOpenApiObject,
 };
@@ -0,0 +1,304 @@
+/**
+ * Characters tried, in order, when a character matching a negated
+ * character class or a wildcard is needed.
+ */
+const candidateCharacters = 'a0xA_-. ';
+
+/**
+ * Character class escapes and a character matching each of them.
+ */
+const classEscapes = {
+  d: '0',
+  D: 'a',
+  w: 'a',
+  W: '-',
+  s: ' ',
+  S: 'a',
+};
+
+/**
+ * Control character escapes and the characters they stand for.
+ */
+const controlEscapes = {
+  t: '\t',
+  n: '\n',
+  r: '\r',
+  f: '\f',
+  v: '\v',
+  0: '\0',
+};
+
+/**
+ * Thrown when the pattern uses a construct not supported by the generator.
+ */
+class UnsupportedPatternError extends Error {}
+
+/**
+ * Recursive descent parser, which produces the shortest string matched by
+ * a regular expression using the common subset of the ECMAScript syntax:
+ * literals, escapes, character classes, groups, alternation and quantifiers.
+ */
+class PatternGenerator {
+  constructor(pattern) {
+    this.pattern = pattern;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.pattern[this.position];
+  }
+
+  next() {
+    if (this.position >= this.pattern.length) {
+      throw new UnsupportedPatternError('unexpected end of the pattern');
+    }
+
+    return this.pattern[this.position++];
+  }
+
+  generate() {
+    const value = this.alternation();
+
+    if (this.position < this.pattern.length) {
+      throw new UnsupportedPatternError(`unexpected '${this.peek()}'`);
+    }
+
+    return value;
+  }
+
+  alternation() {
+    const value = this.sequence();
+
+    // The remaining alternatives are parsed only to find the end of the group.
+    while (this.peek() === '|') {
+      this.next();
+      this.sequence();
+    }
+
+    return value;
+  }
+
+  sequence() {
+    let value = '';
+
+    while (this.position < this.pattern.length && this.peek() !== '|' && this.peek() !== ')') {
+      const atom = this.atom();
+      const count = this.quantifier();
+
+      if (atom !== '') {
+        value += atom.repeat(count);
+      }
+    }
+
+    return value;
+  }
+
+  atom() {
+    const char = this.next();
+
+    switch (char) {
+      case '^':
+      case '$':
+        return '';
+
+      case '.':
+        return candidateCharacters[0];
+
+      case '(': {
+        if (this.peek() === '?') {
+          this.next();
+
+          if (this.next() !== ':') {
+            throw new UnsupportedPatternError('lookarounds and named groups are not supported');
+          }
+        }
+
+        const value = this.alternation();
+
+        if (this.next() !== ')') {
+          throw new UnsupportedPatternError('unterminated group');
+        }
+
+        return value;
+      }
+
+      case '[':
+        return this.characterClass();
+
+      case '\\':
+        return this.escape(false);
+
+      case '*':
+      case '+':
+      case '?':
+      case '{':
+      case ')':
+        throw new UnsupportedPatternError(`unexpected '${char}'`);
+
+      default:
+        return char;
+    }
+  }
+
+  escape(inClass) {
+    const char = this.next();
+
+    if (classEscapes[char] !== undefined) {
+      return classEscapes[char];
+    }
+
+    if (controlEscapes[char] !== undefined) {
+      return controlEscapes[char];
+    }
+
+    if (char === 'b' && inClass) {
+      return '\b';
+    }
+
+    if (char === 'u' || char === 'x') {
+      const length = char === 'u' ? 4 : 2;
+      const digits = this.pattern.substr(this.position, length);
+
+      if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== length) {
+        throw new UnsupportedPatternError(`invalid escape '\\${char}${digits}'`);
+      }
+
+      this.position += length;
+      return String.fromCharCode(parseInt(digits, 16));
+    }
+
+    if (/[a-zA-Z0-9]/.test(char)) {
+      throw new UnsupportedPatternError(`escape '\\${char}' is not supported`);
+    }
+
+    return char;
+  }
+
+  characterClass() {
+    const negated = this.peek() === '^';
+    const ranges = [];
+
+    if (negated) {
+      this.next();
+    }
+
+    while (this.peek() !== ']') {
+      const escape = this.peek() === '\\' ? this.pattern[this.position + 1] : undefined;
+
+      // The members of class escapes are not enumerated, so a negated class cannot
+      // exclude them, but any character of the escape is a member of a plain class.
+      if (classEscapes[escape] !== undefined) {
+        if (negated) {
+          throw new UnsupportedPatternError(`escape '\\${escape}' is not supported in negated character classes`);
+        }
+
+        this.position += 2;
+        ranges.push([classEscapes[escape], classEscapes[escape]]);
+        continue;
+      }
+
+      const start = this.classCharacter();
+
+      if (this.peek() === '-' && this.pattern[this.position + 1] !== ']') {
+        this.next();
+        ranges.push([start, this.classCharacter()]);
+      } else {
+        ranges.push([start, start]);
+      }
+    }
+
+    this.next();
+
+    if (!negated) {
+      if (ranges.length === 0) {
+        throw new UnsupportedPatternError('empty character class');
+      }
+
+      return ranges[0][0];
+    }
+
+    const matches = (char) => ranges.some(([start, end]) => char >= start && char <= end);
+    const char = [...candidateCharacters].find((candidate) => !matches(candidate));
+
+    if (char === undefined) {
+      throw new UnsupportedPatternError('negated character class is too broad');
+    }
+
+    return char;
+  }
+
+  classCharacter() {
+    const char = this.next();
+
+    if (char !== '\\') {
+      return char;
+    }
+
+    if (classEscapes[this.peek()] !== undefined) {
+      throw new UnsupportedPatternError(`escape '\\${this.peek()}' cannot be a range endpoint`);
+    }
+
+    return this.escape(true);
+  }
+
+  quantifier() {
+    const char = this.peek();
+    let count;
+
+    if (char === '*' || char === '?') {
+      count = 0;
+    } else if (char === '+') {
+      count = 1;
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,\d*)?\}/.exec(this.pattern.substring(this.position));
+
+      if (!match) {
+        throw new UnsupportedPatternError('invalid quantifier');
+      }
+
+      this.position += match[0].length - 1;
+      count = parseInt(match[1], 10);
+    } else {
+      return 1;
+    }
+
+    this.next();
+
+    // Lazy quantifiers match the same strings as greedy ones.
+    if (this.peek() === '?') {
+      this.next();
+    }
+
+    return count;
+  }
+}
+
+/**
+ * Creates a string, which matches the given regular expression.
+ *
+ * Only the commonly used subset of the regular expression syntax is supported.
+ * Backreferences, lookarounds and other advanced constructs are not.
+ *
+ * @param pattern - Regular expression in the ECMAScript syntax.
+ *
+ * @returns A string matching the pattern, or undefined if one could not be created.
+ */
+function generatePatternExample(pattern) {
+  let value;
+
+  try {
+    value = new PatternGenerator(pattern).generate();
+  } catch (err) {
+    if (err instanceof UnsupportedPatternError) {
+      return undefined;
+    }
+
+    throw err;
+  }
+
+  return new RegExp(pattern).test(value) ? value : undefined;
+}
+
+module.exports = {
+  generatePatternExample,
+};
@@ -0,0 +1,36 @@
+/**
+ * Returns true if the schema, or any schema nested in it, has
+ * properties marked as `readOnly` or `writeOnly`.
+ *
+ * @param schema - The OpenApi schema object.
+ * @param {Set.<string>} visited - Paths of the schemas already visited.
+ *    Used to avoid infinite recursion with recursive schemas.
+ */
+function hasAccessModifiers(schema, visited = new Set()) {
+  if (!schema || typeof schema !== 'object' || visited.has(schema.$path)) {
+    return false;
+  }
+
+  visited.add(schema.$path);
+
+  const properties = Object.values(schema.properties || {});
+
+  if (properties.some((prop) => prop.readOnly || prop.writeOnly)) {
+    return true;
+  }
+
+  const children = [
+    ...properties,
+    schema.items,
+    schema.additionalProperties,
+    ...(schema.allOf || []),
+    ...(schema.oneOf || []),
+    ...(schema.anyOf || []),
+  ];
+
+  return children.some((child) => hasAccessModifiers(child, visited));
+}
+
+module.exports = {
+  hasAccessModifiers,
+};
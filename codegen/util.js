@@ -39,8 +39,62 @@ function escape(string, toEscape) {
   return result;
 }
 
+/**
+ * Converts a string into a valid JavaScript identifier.
+ *
+ * Valid identifiers are returned as-is. Otherwise characters, which are not
+ * allowed in identifiers, are removed and the following words capitalized,
+ * so that for example `X-Request-Id` becomes `xRequestId`.
+ */
+function toIdentifier(s) {
+  if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(s)) {
+    return s;
+  }
+
+  const words = s.split(/[^A-Za-z0-9_$]+/).filter((word) => word.length > 0);
+
+  let result = words
+    .map((word, i) => i === 0 ? word[0].toLowerCase() + word.substring(1) : capitalize(word))
+    .join('');
+
+  if (result.length === 0 || /^[0-9]/.test(result)) {
+    result = '_' + result;
+  }
+
+  return result;
+}
+
+/**
+ * Returns the given property name in a form, which can be used as
+ * a property key in object literals and type definitions.
+ */
+function propertyKey(name) {
+  if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+    return name;
+  }
+
+  return `'${escape(name, "'")}'`;
+}
+
+/**
+ * Returns an expression, which accesses the given property of an object.
+ *
+ * @param optional - If true, optional chaining is used, so that the expression
+ *    evaluates to undefined if the object is undefined.
+ */
+function propertyAccessor(object, name, optional = false) {
+  if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+    return `${object}${optional ? '?.' : '.'}${name}`;
+  }
+
+  return `${object}${optional ? '?.' : ''}['${escape(name, "'")}']`;
+}
+
 module.exports = {
   removeDuplicates,
   capitalize,
   escape,
+  toIdentifier,
+  propertyKey,
+  propertyAccessor,
 };
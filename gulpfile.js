@@ -6,14 +6,19 @@ const del = require('del');
 
 const openapiPath = 'node_modules/rv-backend/openapi.yaml';
 
+// Options passed to the code generator. See `defaultOptions` in `codegen/index.js`.
+const codegenOptions = {
+  responseMode: process.env.RV_CLIENT_RESPONSE_MODE || 'throw',
+};
+
 const codegen = () => {
-  return _codegen(openapiPath)
+  return _codegen(openapiPath, codegenOptions)
     .pipe(src('src/**/*.ts'))
     .pipe(dest('build/'))
 };
 
 const build = () => {
-  return _codegen(openapiPath)
+  return _codegen(openapiPath, codegenOptions)
     .pipe(src('src/**/*.ts'))
     .pipe(dest('build/'))
     .pipe(ts({
@@ -23,7 +28,7 @@ const build = () => {
 };
 
 const docs = () => {
-  return _codegen(openapiPath)
+  return _codegen(openapiPath, codegenOptions)
     .pipe(src('src/**/*.ts'))
     .pipe(dest('build/'))
     .pipe(typedoc({
@@ -0,0 +1,126 @@
+/**
+ * Function, which obtains a new access token when the current one has been rejected.
+ *
+ * Should return null if a new token cannot be obtained, in which case the user
+ * needs to authenticate again.
+ */
+export type TokenProvider = () => Promise<string | null>;
+
+/**
+ * Access token and an optional new refresh token returned by a token refresh.
+ */
+export interface RefreshResult {
+    accessToken: string;
+    refreshToken?: string;
+}
+
+/**
+ * Creates a token provider, which exchanges a refresh token for a new access token.
+ *
+ * If the refresh returns a new refresh token, it is used for the following refreshes.
+ *
+ * @param refreshToken - The initial refresh token.
+ * @param refresh - Function, which exchanges the refresh token for a new access token,
+ *    for example by calling an authentication endpoint. Should return null or throw
+ *    if the refresh token is no longer valid.
+ */
+export function createRefreshTokenProvider(
+    refreshToken: string,
+    refresh: (refreshToken: string) => Promise<RefreshResult | null>,
+): TokenProvider {
+    let currentToken = refreshToken;
+
+    return async () => {
+        const result = await refresh(currentToken);
+
+        if (result === null) {
+            return null;
+        }
+
+        if (result.refreshToken) {
+            currentToken = result.refreshToken;
+        }
+
+        return result.accessToken;
+    };
+}
+
+/**
+ * Security scheme defined in the OpenApi document.
+ *
+ * @property name - Name of the scheme in the document, which is also
+ *    the key of the scheme's credential in `CredentialMap`.
+ * @property scheme - For `http` schemes, the authorization scheme, such as `bearer`.
+ * @property in - For `apiKey` schemes, the location of the key.
+ * @property parameterName - For `apiKey` schemes, the name of the header,
+ *    query parameter or cookie.
+ */
+export interface SecurityScheme {
+    name: string;
+    type: "http" | "apiKey" | "oauth2" | "openIdConnect";
+    scheme?: string;
+    in?: "header" | "query" | "cookie";
+    parameterName?: string;
+}
+
+/**
+ * Credential for a security scheme. Username and password are used
+ * for HTTP basic authentication, and strings for other schemes.
+ */
+export type Credential = string | { username: string; password: string };
+
+export type CredentialMap = { [scheme: string]: Credential | undefined };
+
+/**
+ * Headers, query parameters and cookies, which need to be added
+ * to a request in order to apply a security scheme.
+ */
+export interface AppliedCredential {
+    headers: { [header: string]: string };
+    query: { [name: string]: string };
+    cookies: { [name: string]: string };
+}
+
+function base64(value: string): string {
+    if (typeof Buffer !== "undefined") {
+        return Buffer.from(value, "utf8").toString("base64");
+    }
+
+    // btoa only accepts Latin-1, so encode the string as UTF-8 first.
+    return btoa(unescape(encodeURIComponent(value)));
+}
+
+/**
+ * Returns true if the scheme uses the access token of the client,
+ * when no other credential has been set for the scheme.
+ */
+export function usesAccessToken(scheme: SecurityScheme): boolean {
+    return scheme.type === "oauth2" ||
+        scheme.type === "openIdConnect" ||
+        (scheme.type === "http" && (scheme.scheme || "").toLowerCase() === "bearer");
+}
+
+/**
+ * Returns the headers, query parameters and cookies, with which the credential
+ * is sent according to the security scheme.
+ */
+export function applyCredential(scheme: SecurityScheme, credential: Credential): AppliedCredential {
+    const applied: AppliedCredential = { headers: {}, query: {}, cookies: {} };
+
+    if (scheme.type === "apiKey") {
+        const location = scheme.in === "query" ? applied.query
+            : scheme.in === "cookie" ? applied.cookies
+            : applied.headers;
+
+        location[scheme.parameterName as string] = String(credential);
+    } else if (typeof credential === "object") {
+        applied.headers["Authorization"] = "Basic " + base64(credential.username + ":" + credential.password);
+    } else if (usesAccessToken(scheme)) {
+        applied.headers["Authorization"] = "Bearer " + credential;
+    } else {
+        const name = scheme.scheme || "";
+        applied.headers["Authorization"] = name[0].toUpperCase() + name.substring(1) + " " + credential;
+    }
+
+    return applied;
+}
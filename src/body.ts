@@ -0,0 +1,113 @@
+import { serializeQuery } from './parameters';
+
+/**
+ * Binary data, such as the contents of a file. In Node.js, `Buffer`s can be
+ * used, as they are `ArrayBufferView`s.
+ */
+export type BinaryData = Blob | ArrayBuffer | ArrayBufferView;
+
+/**
+ * A serialized request body, as passed to a transport.
+ */
+export type RequestBody = string | BinaryData | FormData;
+
+/**
+ * Returns true if the media type denotes JSON, such as `application/json`
+ * or `application/problem+json`.
+ */
+export function isJsonMediaType(mediaType: string): boolean {
+    return /^application\/(.+\+)?json$/.test(mediaType);
+}
+
+/**
+ * Returns true if the media type denotes text, such as `text/csv` or `application/xml`.
+ * Responses with these media types are returned as strings.
+ */
+export function isTextMediaType(mediaType: string): boolean {
+    return /^text\//.test(mediaType) || /^application\/(.+\+)?xml$/.test(mediaType);
+}
+
+function isBinaryData(value: any): value is BinaryData {
+    return (typeof Blob !== "undefined" && value instanceof Blob)
+        || value instanceof ArrayBuffer
+        || ArrayBuffer.isView(value);
+}
+
+/**
+ * Encodes the properties of an object as `application/x-www-form-urlencoded`.
+ * Arrays are encoded as repeated fields, and nested objects as their properties.
+ */
+export function serializeForm(body: { [field: string]: any }): string {
+    return serializeQuery(Object.keys(body).map((name) => ({
+        name,
+        value: body[name],
+        style: "form" as "form",
+        explode: true,
+    })));
+}
+
+/**
+ * Creates a `FormData` object for a `multipart/form-data` request body.
+ *
+ * Binary data is sent as files, arrays as repeated fields, and other objects as JSON.
+ */
+export function createFormData(body: { [field: string]: any }): FormData {
+    const formData = new FormData();
+
+    const append = (name: string, value: any) => {
+        if (value === undefined || value === null) {
+            return;
+        } else if (typeof Blob !== "undefined" && value instanceof Blob) {
+            formData.append(name, value);
+        } else if (isBinaryData(value)) {
+            formData.append(name, new Blob([ value ]));
+        } else if (value instanceof Date) {
+            formData.append(name, value.toISOString());
+        } else if (typeof value === "object") {
+            formData.append(name, new Blob([ JSON.stringify(value) ], { type: "application/json" }));
+        } else {
+            formData.append(name, String(value));
+        }
+    };
+
+    Object.keys(body).forEach((name) => {
+        const value = body[name];
+
+        if (Array.isArray(value)) {
+            value.forEach((item) => append(name, item));
+        } else {
+            append(name, value);
+        }
+    });
+
+    return formData;
+}
+
+/**
+ * Serializes a request body according to it's content type.
+ *
+ * JSON, `application/x-www-form-urlencoded` and `multipart/form-data` bodies are
+ * serialized from objects. Bodies of other content types, such as `application/octet-stream`
+ * or `text/csv`, are sent as they are.
+ *
+ * @returns The serialized body, and the value of the `Content-Type` header, which is null
+ *    for multipart bodies, as their boundary is chosen by the transport.
+ */
+export function serializeBody(body: any, contentType: string): { body: RequestBody; contentType: string | null } {
+    const mediaType = contentType.split(";")[0].trim().toLowerCase();
+
+    if (isJsonMediaType(mediaType)) {
+        return { body: JSON.stringify(body), contentType };
+    }
+
+    if (mediaType === "application/x-www-form-urlencoded") {
+        return { body: serializeForm(body), contentType };
+    }
+
+    if (mediaType === "multipart/form-data") {
+        const isFormData = typeof FormData !== "undefined" && body instanceof FormData;
+        return { body: isFormData ? body : createFormData(body), contentType: null };
+    }
+
+    return { body, contentType };
+}
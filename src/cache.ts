@@ -0,0 +1,168 @@
+import { HeaderDict } from './client';
+
+/**
+ * A cached response.
+ *
+ * @property url - URL of the request, including the query string.
+ * @property expires - Time in milliseconds since the epoch, after which the response
+ *    has to be revalidated before using it.
+ * @property etag - Value of the `ETag` header, used for revalidation.
+ * @property lastModified - Value of the `Last-Modified` header, used for revalidation.
+ */
+export interface CacheEntry {
+    url: string;
+    status: number;
+    headers: HeaderDict;
+    data: any;
+    expires: number;
+    etag?: string;
+    lastModified?: string;
+}
+
+/**
+ * Storage for cached responses. Can be implemented for example on top of
+ * IndexedDB in order to persist the cache between page loads.
+ *
+ * The entries are plain objects, which can be serialized as JSON.
+ */
+export interface CacheStore {
+    get (key: string): Promise<CacheEntry | undefined>;
+    set (key: string, entry: CacheEntry): Promise<void>;
+    delete (key: string): Promise<void>;
+    keys (): Promise<string[]>;
+}
+
+/**
+ * Cache store, which keeps the responses in memory.
+ *
+ * When the store is full, the least recently stored entry is evicted.
+ */
+export class MemoryCacheStore implements CacheStore {
+    entries: { [key: string]: CacheEntry };
+    order: string[];
+    maxEntries: number;
+
+    /**
+     * @param maxEntries - Maximum number of responses to keep.
+     */
+    constructor (maxEntries: number = 100) {
+        this.entries = {};
+        this.order = [];
+        this.maxEntries = maxEntries;
+    }
+
+    async get (key: string): Promise<CacheEntry | undefined> {
+        return Object.prototype.hasOwnProperty.call(this.entries, key) ? this.entries[key] : undefined;
+    }
+
+    async set (key: string, entry: CacheEntry): Promise<void> {
+        await this.delete(key);
+
+        this.entries[key] = entry;
+        this.order.push(key);
+
+        while (this.order.length > this.maxEntries) {
+            delete this.entries[this.order.shift() as string];
+        }
+    }
+
+    async delete (key: string): Promise<void> {
+        if (Object.prototype.hasOwnProperty.call(this.entries, key)) {
+            delete this.entries[key];
+            this.order = this.order.filter((k) => k !== key);
+        }
+    }
+
+    async keys (): Promise<string[]> {
+        return this.order.slice();
+    }
+}
+
+/**
+ * Parses the directives of a `Cache-Control` header. Directive names are
+ * in lower case, and directives without a value have the value `true`.
+ */
+export function parseCacheControl(header: string | undefined): { [directive: string]: string | true } {
+    const directives: { [directive: string]: string | true } = {};
+
+    for (const part of (header || "").split(",")) {
+        const [name, value] = part.split("=");
+
+        if (name.trim()) {
+            directives[name.trim().toLowerCase()] = value === undefined ? true : value.trim().replace(/^"|"$/g, "");
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * Creates a cache entry from a response, or returns null if the
+ * response may not be cached.
+ *
+ * Responses are cached if they are fresh according to their `Cache-Control`
+ * or `Expires` headers, or if they can be revalidated using `ETag` or `Last-Modified`.
+ *
+ * @param now - Current time in milliseconds since the epoch.
+ */
+export function createCacheEntry(url: string, status: number, headers: HeaderDict, data: any, now: number): CacheEntry | null {
+    const directives = parseCacheControl(headers["cache-control"]);
+
+    // The request headers, which select the response, are part of the cache key,
+    // but a response varying on something else cannot be cached.
+    if (status !== 200 || directives["no-store"] || (headers["vary"] || "").trim() === "*") {
+        return null;
+    }
+
+    let expires = now;
+
+    if (directives["no-cache"]) {
+        expires = now;
+    } else if (typeof directives["max-age"] === "string") {
+        expires = now + (parseInt(directives["max-age"] as string, 10) || 0) * 1000;
+    } else if (headers["expires"]) {
+        expires = Date.parse(headers["expires"]) || now;
+    }
+
+    const etag = headers["etag"];
+    const lastModified = headers["last-modified"];
+
+    if (expires <= now && !etag && !lastModified) {
+        return null;
+    }
+
+    return { url, status, headers, data, expires, etag, lastModified };
+}
+
+/**
+ * Returns the headers for revalidating a cached response using a conditional request.
+ */
+export function getRevalidationHeaders(entry: CacheEntry): HeaderDict {
+    const headers: HeaderDict = {};
+
+    if (entry.etag) {
+        headers["If-None-Match"] = entry.etag;
+    }
+
+    if (entry.lastModified) {
+        headers["If-Modified-Since"] = entry.lastModified;
+    }
+
+    return headers;
+}
+
+/**
+ * Returns true if the URL's path matches a path template. Path parameters,
+ * such as `{barcode}`, in the template match any single path segment.
+ */
+export function matchesPathTemplate(template: string, url: string): boolean {
+    const path = url.split(/[?#]/)[0].replace(/\/$/, "");
+
+    const pattern = template
+        .replace(/\/$/, "")
+        .split(/({[^}]+})/)
+        .map((part) => /^{[^}]+}$/.test(part) ? "[^/]+" : part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+        .join("");
+
+    return new RegExp("^" + pattern + "$").test(path);
+}
@@ -1,19 +1,438 @@
 import urljoin from 'url-join';
-import axios, { AxiosRequestConfig } from 'axios';
+import { AxiosRequestConfig } from 'axios';
+import { ApiError, ApiErrorClass, NetworkError, RequestAbortedError, RequestTimeoutError, RequestQueuedError } from './errors';
+import { Parameter, serializeQuery, serializeHeaders, serializeCookies } from './parameters';
+import { SchemaNode, ValidationError, validateSchema } from './validation';
+import { Transport, TransportRequest, TransportResponse, ResponseType, AxiosTransport, observeStream } from './transport';
+import { RetryPolicy, defaultRetryPolicy, isRetryable, getRetryDelay, sleep, generateIdempotencyKey } from './retry';
+import {
+    CacheStore,
+    CacheEntry,
+    MemoryCacheStore,
+    createCacheEntry,
+    getRevalidationHeaders,
+    matchesPathTemplate,
+} from './cache';
+import { isJsonMediaType, serializeBody } from './body';
+import { OfflineQueue, QueuedRequest } from './offline';
+import {
+    TokenProvider,
+    SecurityScheme,
+    Credential,
+    CredentialMap,
+    AppliedCredential,
+    applyCredential,
+    usesAccessToken,
+} from './auth';
 
 type Method = AxiosRequestConfig["method"];
 
 export interface RequestArguments {
     path: string;
     method: Method;
-    body?: object;
+    body?: any;
+
+    /**
+     * Content type of the body. Defaults to `application/json`.
+     * See `serializeBody` for the supported content types.
+     */
+    contentType?: string;
+    query?: Parameter[];
+    headers?: Parameter[];
+    cookies?: Parameter[];
+    errors?: { [status: string]: ApiErrorClass };
+    requestSchema?: SchemaNode;
+    responseSchemas?: { [status: number]: { [contentType: string]: SchemaNode } };
+
+    /**
+     * How the response body is read. Operations with binary responses use `arraybuffer`,
+     * and the generated `...Stream` methods use `stream`. Defaults to `auto`.
+     */
+    responseType?: ResponseType;
+
+    /**
+     * Security requirements of the operation. The request is authenticated using
+     * the first alternative, for which credentials are available for all schemes.
+     * An empty list means that the operation does not require authentication.
+     * If undefined, the access token is sent as a bearer token.
+     */
+    security?: SecurityScheme[][];
+
+    /** Sent in the `Idempotency-Key` header. */
+    idempotencyKey?: string;
+
+    /**
+     * True if the operation accepts an idempotency key, as indicated by the
+     * `x-codegen-idempotent` extension in the OpenApi document, or the caller
+     * supplied a key. Such requests are retried regardless of their method.
+     */
+    idempotent?: boolean;
+
+    /** Options passed by the caller of a generated method. */
+    options?: RequestOptions;
+
+    /**
+     * Paths of the resources, which are changed by a successful request, as
+     * indicated by the `x-codegen-invalidates` extension in the OpenApi document.
+     * Cached responses for these paths are removed after the request succeeds.
+     * Path parameters, such as `{barcode}`, match any value.
+     */
+    invalidates?: string[];
+}
+
+/**
+ * Options, which can be passed to the generated methods.
+ */
+export interface RequestOptions {
+    /**
+     * Signal for cancelling the request. When aborted, the call is rejected with
+     * a `RequestAbortedError`, and the request is not retried.
+     */
+    signal?: AbortSignal;
+
+    /**
+     * Time in milliseconds to wait for each attempt of the request, after which
+     * the attempt fails with a `RequestTimeoutError`. Overrides `ClientOptions.timeout`.
+     * Zero disables the timeout.
+     */
+    timeout?: number;
+
+    /**
+     * Additional headers, which override the headers set for the client.
+     */
+    headers?: HeaderDict;
+
+    /**
+     * Set to false to bypass the response cache for this request.
+     */
+    cache?: boolean;
+
+    /**
+     * Whether this request can share a response with concurrent identical GET requests.
+     * Overrides `ClientOptions.dedupe`.
+     */
+    dedupe?: boolean;
+
+    /**
+     * Key identifying the request, sent in the `Idempotency-Key` header.
+     * Reusing the same key for repeated calls, such as when the user taps
+     * "buy" twice, allows the API to detect the duplicate.
+     *
+     * If not given, a key is generated as configured by `ClientOptions.idempotencyKeys`.
+     * The same key is used for all retries of the call.
+     */
+    idempotencyKey?: string;
 }
 
-type HeaderDict = { [header: string]: string };
+/**
+ * Settings of a client. Settings, which are not set for a client,
+ * are inherited from it's parent.
+ */
+export interface ClientOptions {
+    /**
+     * If true, response bodies are validated against the schemas defined in the OpenApi
+     * document and a `ValidationError` is thrown if they do not match.
+     */
+    validateResponses?: boolean;
+
+    /**
+     * If true, request bodies are validated against the schemas defined in the OpenApi
+     * document before sending them, and a `ValidationError` listing all violations is
+     * thrown if they do not match.
+     */
+    validateRequests?: boolean;
+
+    /**
+     * Transport used for sending the requests. Defaults to `AxiosTransport`.
+     */
+    transport?: Transport;
+
+    /**
+     * Called for a new access token when a request sent with the access token
+     * is rejected with status 401. The request is then retried once with the new token.
+     */
+    tokenProvider?: TokenProvider;
+
+    /**
+     * Policy for retrying requests, which fail due to network errors or
+     * transient server errors. Unset fields default to the values in
+     * `defaultRetryPolicy`. Set to false to disable retries.
+     */
+    retry?: Partial<RetryPolicy> | false;
+
+    /**
+     * Controls which requests are sent with a generated idempotency key,
+     * when the caller does not supply one. If true, keys are generated for all
+     * POST and PATCH requests, and if false, keys are never generated.
+     * By default keys are generated for operations marked with `x-codegen-idempotent`,
+     * and for requests, which may be stored in the offline queue, if one is configured.
+     * Generated keys do not make requests of other operations retryable.
+     */
+    idempotencyKeys?: boolean;
+
+    /**
+     * Default time in milliseconds to wait for each attempt of a request.
+     * See `RequestOptions.timeout`.
+     */
+    timeout?: number;
+
+    /**
+     * Cache for the responses of GET requests. Set to true to use a `MemoryCacheStore`.
+     *
+     * Cached responses are used as long as they are fresh according to their
+     * `Cache-Control` and `Expires` headers, after which they are revalidated using
+     * their `ETag` and `Last-Modified` headers. Successful requests with other methods
+     * remove the cached responses for their own path.
+     */
+    cache?: boolean | CacheStore;
+
+    /**
+     * If true, which is the default, concurrent GET requests with the same URL and
+     * headers, including the credentials, share a single HTTP request and response.
+     *
+     * The shared request is not aborted when one of the callers aborts their call.
+     */
+    dedupe?: boolean;
+
+    /**
+     * Queue for mutating requests, which fail because the API is unreachable,
+     * that is the transport throws a `NetworkError` or the request times out.
+     * Such requests are stored in the queue and the call is rejected with a
+     * `RequestQueuedError`. While the queue is not empty, new mutating requests
+     * are added to the end of it, so that the requests are sent in order.
+     *
+     * The requests are replayed with the idempotency key they were first sent with,
+     * so that the API can detect requests, which it received before the connection
+     * failed. Requests sent without a key, because `idempotencyKeys` is false,
+     * are not queued, and the call is rejected with the `NetworkError` instead.
+     *
+     * The queue is replayed by the client it is configured for, when the client is
+     * configured, when a later request succeeds, when the browser comes back online,
+     * or when `replayQueue` is called.
+     */
+    offlineQueue?: OfflineQueue;
+}
+
+/**
+ * Events emitted by clients, and the types of their payloads.
+ *
+ * Events emitted by a client are also emitted by all of it's parents.
+ */
+export interface ClientEvents {
+    /**
+     * Emitted when a request was rejected with status 401 and a new access token
+     * could not be obtained, or the request was rejected again with the new token.
+     */
+    reauthenticationFailed: { client: Client; error?: any };
+
+    /**
+     * Emitted before a failed request is retried.
+     *
+     * @property attempt - Number of the attempt, which failed. Starts from 1.
+     * @property delay - Time in milliseconds until the request is sent again.
+     * @property status - Status code of the failed response, if there was one.
+     * @property error - Error thrown by the transport, if there was no response.
+     */
+    retry: { client: Client; args: RequestArguments; attempt: number; delay: number; status?: number; error?: any };
+
+    /** Emitted when a request is added to the offline queue. */
+    requestQueued: { client: Client; request: QueuedRequest };
+
+    /** Emitted when a queued request has been sent successfully. */
+    requestReplayed: { client: Client; request: QueuedRequest; status: number; data: any };
+
+    /**
+     * Emitted when a queued request has been rejected by the API, or could not
+     * be sent for a reason other than the API being unreachable. The request
+     * is removed from the queue.
+     */
+    requestFailed: { client: Client; request: QueuedRequest; status?: number; data?: any; error?: any };
+}
+
+type Listener<E extends keyof ClientEvents> = (payload: ClientEvents[E]) => void;
+
+export type HeaderDict = { [header: string]: string };
+
+/**
+ * Information about the request being intercepted.
+ *
+ * @property client - The client sending the request.
+ * @property args - Arguments of the request, as passed to `Client.send`.
+ */
+export interface InterceptorContext {
+    client: Client;
+    args: RequestArguments;
+}
+
+/**
+ * Middleware, which is invoked for each request sent by a client.
+ *
+ * Interceptors can modify the request before passing it on by calling `next`,
+ * modify the response returned by `next`, or return a response without
+ * calling `next` at all.
+ */
+export type Interceptor = (
+    req: TransportRequest,
+    next: (req: TransportRequest) => Promise<TransportResponse>,
+    context: InterceptorContext,
+) => Promise<TransportResponse>;
+
+/**
+ * Status, headers and the parsed body of a HTTP response, along with the
+ * request, for which it was received.
+ *
+ * Returned by the generated `...WithResponse` methods, in which case `data`
+ * is the value returned by the corresponding plain method.
+ *
+ * @property request - The request as passed to the transport, after any changes made by
+ *    interceptors. For responses served from the cache, the request, which would have been sent.
+ * @property duration - Time in milliseconds from sending the request until receiving
+ *    the response, including any retries.
+ */
+export interface ApiResponse<T = any> {
+    status: number;
+    headers: HeaderDict;
+    data: T;
+    request: TransportRequest;
+    duration: number;
+}
+
+/**
+ * Returns the media type of a response, as defined by it's `Content-Type`
+ * header, without any parameters such as `charset`.
+ */
+export function getMediaType(headers: HeaderDict): string | null {
+    const contentType = headers["content-type"];
+
+    if (!contentType) {
+        return null;
+    }
+
+    return contentType.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Returns the media type of a request's body, without parameters.
+ */
+function getRequestMediaType(args: RequestArguments): string {
+    return (args.contentType || "application/json").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Returns the key of a request in the response cache.
+ *
+ * The key consists of the URL and a hash of the request headers, so that responses
+ * are not shared between users, but credentials are not stored in the cache. All headers
+ * are hashed, as credentials may be sent in the `Authorization` header, in an API key
+ * header or in the `Cookie` header. Credentials sent in the query string are part of the URL.
+ */
+function getCacheKey(req: TransportRequest): string {
+    const headers = Object.keys(req.headers)
+        .filter((name) => name.toLowerCase() !== "idempotency-key")
+        .map((name) => name.toLowerCase() + ":" + req.headers[name])
+        .sort()
+        .join("\n");
+
+    let hash = 0x811c9dc5;
+
+    // 32-bit FNV-1a
+    for (let i = 0; i < headers.length; i++) {
+        hash ^= headers.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return req.url + "#" + hash.toString(16);
+}
+
+/**
+ * Creates a response from a cache entry. The body is copied, so that
+ * modifying the response does not modify the cached response.
+ */
+function copyCacheEntry(entry: CacheEntry): CacheEntry {
+    return {
+        ...entry,
+        headers: { ...entry.headers },
+        data: copyBody(entry.data),
+    };
+}
+
+/**
+ * Copies a parsed JSON response body, so that a response shared by multiple
+ * callers can be modified by one of them without affecting the others.
+ * Other kinds of bodies are returned as they are.
+ */
+function copyBody(data: any): any {
+    if (Array.isArray(data) || (typeof data === "object" && data !== null && Object.getPrototypeOf(data) === Object.prototype)) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    return data;
+}
+
+/**
+ * Waits for a promise, but rejects with a `RequestAbortedError` if
+ * the signal is aborted first.
+ */
+function waitUnlessAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (!signal) {
+        return promise;
+    }
+
+    if (signal.aborted) {
+        return Promise.reject(new RequestAbortedError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new RequestAbortedError());
+
+        signal.addEventListener("abort", onAbort);
+
+        promise.then((value) => {
+            signal.removeEventListener("abort", onAbort);
+            resolve(value);
+        }, (error) => {
+            signal.removeEventListener("abort", onAbort);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Returns true if the request can be stored in the offline queue. Only mutating
+ * requests are queued, and files and other binary bodies cannot be stored.
+ */
+function isQueueable(args: RequestArguments): boolean {
+    const method = String(args.method).toLowerCase();
+    const mediaType = getRequestMediaType(args);
+
+    if (method === "get" || method === "head" || method === "options") {
+        return false;
+    }
+
+    return args.body === undefined || isJsonMediaType(mediaType) || mediaType === "application/x-www-form-urlencoded";
+}
+
+/**
+ * Returns true if an error thrown while sending a request means that the API could not
+ * be reached, and not for example that an interceptor or the transport rejected the request.
+ *
+ * Timeouts are considered network errors, as on unreliable connections they are the
+ * usual symptom of the API being unreachable. Note that the API may have received
+ * the request, so only requests, which are safe to repeat, are retried.
+ */
+function isNetworkError(error: any): boolean {
+    return error instanceof NetworkError || error instanceof RequestTimeoutError;
+}
 
 export class Client {
     accessToken: string | null;
+    credentials: CredentialMap;
     headers: HeaderDict;
+    options: ClientOptions;
+    interceptors: Interceptor[];
+    listeners: { [E in keyof ClientEvents]?: Listener<E>[] };
+    pendingTokenRefresh: Promise<string | null> | null;
+    pendingRequests: { [key: string]: Promise<TransportResponse> };
     parent?: Client;
     path?: string;
 
@@ -36,7 +455,13 @@ export class Client {
         }
 
         this.accessToken = null;
+        this.credentials = {};
         this.headers = {};
+        this.options = {};
+        this.interceptors = [];
+        this.listeners = {};
+        this.pendingTokenRefresh = null;
+        this.pendingRequests = {};
         this.parent = parent;
         this.path = path;
     }
@@ -53,7 +478,7 @@ export class Client {
         );
     }
 
-    setAccessToken (token: string) {
+    setAccessToken (token: string | null) {
         this.accessToken = token;
     }
 
@@ -67,37 +492,956 @@ export class Client {
         }
     }
 
-    getHeaders(): HeaderDict {
-        let headers: HeaderDict = {};
+    /**
+     * Sets credentials for the security schemes defined in the OpenApi document.
+     * See the generated `Credentials` type for the available schemes.
+     *
+     * The credentials are used by this client and all clients derived from it.
+     * Schemes using bearer tokens default to the access token set using `setAccessToken`.
+     */
+    setCredentials (credentials: CredentialMap) {
+        Object.assign(this.credentials, credentials);
+    }
 
-        if (this.accessToken) {
-            headers["Authentication"] = "Bearer " + this.accessToken;
+    /**
+     * Returns the credential for the given security scheme, if one is available.
+     */
+    getCredential (scheme: SecurityScheme): Credential | undefined {
+        for (let client: Client | undefined = this; client; client = client.parent) {
+            if (client.credentials[scheme.name] !== undefined) {
+                return client.credentials[scheme.name];
+            }
+        }
+
+        if (usesAccessToken(scheme)) {
+            return this.getAccessToken() || undefined;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Selects the security schemes and credentials used to authenticate a request
+     * with the given security requirements.
+     */
+    getSecurityCredentials (security?: SecurityScheme[][]): [SecurityScheme, Credential][] {
+        if (security === undefined) {
+            const token = this.getAccessToken();
+            return token ? [[{ name: "", type: "http", scheme: "bearer" }, token]] : [];
+        }
+
+        for (const alternative of security) {
+            const credentials = alternative.map((scheme) => this.getCredential(scheme));
+
+            if (credentials.every((credential) => credential !== undefined)) {
+                return alternative.map((scheme, i): [SecurityScheme, Credential] => [scheme, credentials[i] as Credential]);
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Resolves the headers, query parameters and cookies used to authenticate
+     * a request with the given security requirements.
+     */
+    getAuthentication (security?: SecurityScheme[][]): AppliedCredential[] {
+        return this.getSecurityCredentials(security).map(([scheme, credential]) => applyCredential(scheme, credential));
+    }
+
+    /**
+     * Returns the access token, if a request with the given security requirements
+     * is sent with it, or null if the request is authenticated otherwise.
+     */
+    getSentAccessToken (security?: SecurityScheme[][]): string | null {
+        const token = this.getAccessToken();
+        const sent = this.getSecurityCredentials(security)
+            .some(([scheme, credential]) => usesAccessToken(scheme) && credential === token);
+
+        return token && sent ? token : null;
+    }
+
+    /**
+     * Changes the settings of this client and all clients derived from it.
+     */
+    configure (options: ClientOptions) {
+        Object.assign(this.options, options);
+
+        if (options.offlineQueue) {
+            this.watchOfflineQueue(options.offlineQueue);
+        }
+    }
+
+    /**
+     * Replays the offline queue when the browser comes back online. The queue is also
+     * replayed right away, as a persistent queue may contain requests, which were
+     * queued before the application was restarted.
+     */
+    watchOfflineQueue (queue: OfflineQueue) {
+        if (!queue.watching && typeof window !== "undefined" && window.addEventListener) {
+            queue.watching = true;
+            window.addEventListener("online", () => this.replayQueue().catch(() => undefined));
+        }
+
+        // The queue is loaded asynchronously, so that the client can be configured further,
+        // for example with a transport, before the first request is replayed.
+        this.replayQueue().catch(() => undefined);
+    }
+
+    /**
+     * Returns the client, from which the given setting is inherited by this client.
+     */
+    getOptionOwner (key: keyof ClientOptions): Client | undefined {
+        if (this.options[key] !== undefined) {
+            return this;
+        } else if (this.parent) {
+            return this.parent.getOptionOwner(key);
+        } else {
+            return undefined;
+        }
+    }
+
+    getOption<K extends keyof ClientOptions> (key: K): ClientOptions[K] {
+        if (this.options[key] !== undefined) {
+            return this.options[key];
+        } else if (this.parent) {
+            return this.parent.getOption(key);
+        } else {
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns the cache store configured for this client or inherited from it's
+     * parents, or null if caching is disabled.
+     */
+    getCacheStore (): CacheStore | null {
+        const owner = this.getOptionOwner("cache");
+
+        if (owner === undefined || owner.options.cache === false) {
+            return null;
+        }
+
+        if (owner.options.cache === true) {
+            // Replace the flag with the store, so that it is shared by child clients.
+            owner.options.cache = new MemoryCacheStore();
+        }
+
+        return owner.options.cache as CacheStore;
+    }
+
+    /**
+     * Removes cached responses for the given paths.
+     *
+     * @param paths - Paths relative to this client. Path parameters, such as `{barcode}`,
+     *    match any value. If omitted, all cached responses are removed.
+     */
+    async invalidateCache (paths?: string[]): Promise<void> {
+        const store = this.getCacheStore();
+
+        if (store === null) {
+            return;
+        }
+
+        const urls = paths && paths.map((path) => this.getUrl(path));
+
+        for (const key of await store.keys()) {
+            if (!urls || urls.some((url) => matchesPathTemplate(url, key))) {
+                await store.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Dispatches a request, or stores it in the offline queue if it is a mutating request,
+     * and the API is unreachable or there are already requests in the queue.
+     *
+     * @throws RequestQueuedError if the request was queued.
+     */
+    async dispatchOrQueue (args: RequestArguments): Promise<TransportResponse> {
+        const queue = this.getOption("offlineQueue");
+
+        if (queue === undefined || !isQueueable(args)) {
+            return this.dispatchDeduplicated(args);
+        }
+
+        if ((await queue.list()).length > 0) {
+            const request = await this.enqueue(queue, args);
+
+            // Try to send the queued requests, in case the API is reachable again.
+            this.replayQueue().catch(() => undefined);
+
+            throw new RequestQueuedError(request);
+        }
+
+        try {
+            return await this.dispatchDeduplicated(args);
+        } catch (error) {
+            // Without a key, the API could not tell a replay from the original
+            // request, if the original reached it before the connection failed.
+            if (!isNetworkError(error) || args.idempotencyKey === undefined) {
+                throw error;
+            }
+
+            throw new RequestQueuedError(await this.enqueue(queue, args));
+        }
+    }
+
+    /**
+     * Adds a request to the offline queue.
+     *
+     * A key is generated for requests without one only if they have not been sent yet.
+     */
+    async enqueue (queue: OfflineQueue, args: RequestArguments): Promise<QueuedRequest> {
+        const owner = this.getOptionOwner("offlineQueue") as Client;
+        const options = args.options || {};
+
+        // The path is stored relative to the client replaying the queue.
+        const segments = [ args.path ];
+
+        for (let client: Client | undefined = this; client && client !== owner; client = client.parent) {
+            if (client.path) {
+                segments.unshift(client.path);
+            }
+        }
+
+        const request: QueuedRequest = {
+            id: generateIdempotencyKey(),
+            queuedAt: Date.now(),
+            path: urljoin(segments),
+            method: String(args.method),
+            body: args.body,
+            contentType: args.contentType,
+            query: args.query,
+            headers: args.headers,
+            cookies: args.cookies,
+            security: args.security,
+            // The key sent with the original request, so that the API can detect
+            // the replay, if the original reached it before the connection failed.
+            idempotencyKey: args.idempotencyKey || generateIdempotencyKey(),
+            idempotent: args.idempotent,
+            invalidates: args.invalidates,
+            extraHeaders: options.headers,
+        };
+
+        await queue.push(request);
+
+        this.emit("requestQueued", { client: this, request });
+
+        return request;
+    }
+
+    /**
+     * Sends the requests in the offline queue in order. Stops when the API is unreachable,
+     * leaving the remaining requests in the queue.
+     *
+     * Concurrent calls share a single replay.
+     */
+    replayQueue (): Promise<void> {
+        const owner = this.getOptionOwner("offlineQueue");
+
+        if (owner === undefined) {
+            return Promise.resolve();
+        }
+
+        const queue = owner.options.offlineQueue as OfflineQueue;
+
+        if (queue.replaying === null) {
+            const done = () => { queue.replaying = null; };
+
+            queue.replaying = owner.replayRequests(queue);
+            queue.replaying.then(done, done);
+        }
+
+        return queue.replaying;
+    }
+
+    /**
+     * Sends the requests in the queue. See `replayQueue`.
+     */
+    async replayRequests (queue: OfflineQueue): Promise<void> {
+        const policy = this.getRetryPolicy();
+
+        // The head of the queue is read on every iteration, so that requests
+        // queued during the replay are sent as well.
+        for (let request = (await queue.list())[0]; request; request = (await queue.list())[0]) {
+            const args: RequestArguments = {
+                path: request.path,
+                method: request.method as Method,
+                body: request.body,
+                contentType: request.contentType,
+                query: request.query,
+                headers: request.headers,
+                cookies: request.cookies,
+                security: request.security,
+                idempotencyKey: request.idempotencyKey,
+                idempotent: request.idempotent,
+                invalidates: request.invalidates,
+                options: { headers: request.extraHeaders },
+            };
+
+            const token = this.getSentAccessToken(args.security);
+            let res: TransportResponse;
+
+            try {
+                res = await this.dispatchCached(args);
+
+                if (res.status === 401 && token !== null && this.getOption("tokenProvider")) {
+                    res = await this.reauthenticate(args, res, token);
+                }
+            } catch (error) {
+                if (isNetworkError(error)) {
+                    return;
+                }
+
+                await queue.remove(request.id);
+                this.emit("requestFailed", { client: this, request, error });
+                continue;
+            }
+
+            // The API is still unavailable.
+            if (policy !== null && policy.statusCodes.indexOf(res.status) !== -1) {
+                return;
+            }
+
+            await queue.remove(request.id);
+
+            if (res.status >= 200 && res.status < 300) {
+                this.emit("requestReplayed", { client: this, request, status: res.status, data: res.data });
+            } else {
+                this.emit("requestFailed", { client: this, request, status: res.status, data: res.data });
+            }
+        }
+    }
+
+    /**
+     * Dispatches a request, sharing the response with concurrent identical GET requests
+     * if enabled. The in-flight requests are tracked by the root client, so that they are
+     * shared between all clients derived from it.
+     */
+    async dispatchDeduplicated (args: RequestArguments): Promise<TransportResponse> {
+        const options = args.options || {};
+        const enabled = options.dedupe !== undefined ? options.dedupe : this.getOption("dedupe") !== false;
+
+        // Streams can only be consumed once, so they cannot be shared.
+        if (!enabled || String(args.method).toLowerCase() !== "get" || args.responseType === "stream") {
+            return this.dispatchCached(args);
+        }
+
+        const req = this.buildRequest(args);
+        const key = JSON.stringify([ req.url, req.headers ]);
+        const root = this.getRoot();
+
+        if (!Object.prototype.hasOwnProperty.call(root.pendingRequests, key)) {
+            // The shared request is sent without the signal of the first caller,
+            // as aborting it would affect the other callers.
+            const shared = this.dispatchCached({ ...args, options: { ...options, signal: undefined } });
+            const remove = () => { delete root.pendingRequests[key]; };
+
+            shared.then(remove, remove);
+            root.pendingRequests[key] = shared;
+        }
+
+        const res = await waitUnlessAborted(root.pendingRequests[key], options.signal);
+
+        return { ...res, headers: { ...res.headers }, data: copyBody(res.data) };
+    }
+
+    /**
+     * Dispatches a request, using the response cache for GET requests.
+     *
+     * Fresh cached responses are returned without sending the request. Stale responses
+     * are revalidated using a conditional request, and returned if the API responds
+     * with status 304.
+     */
+    async dispatchCached (args: RequestArguments): Promise<TransportResponse> {
+        const store = this.getCacheStore();
+        const method = String(args.method).toLowerCase();
+
+        const bypass = (args.options && args.options.cache === false) || args.responseType === "stream";
+
+        if (store === null || method !== "get" || bypass) {
+            const res = await this.dispatchWithRetry(args);
+
+            const safe = method === "get" || method === "head" || method === "options";
+
+            if (store !== null && !safe && res.status >= 200 && res.status < 300) {
+                await this.invalidateCache([ args.path, ...(args.invalidates || []) ]);
+            }
+
+            return res;
+        }
+
+        const req = this.buildRequest(args);
+        const key = getCacheKey(req);
+        const entry = await store.get(key);
+        const now = Date.now();
+
+        if (entry && entry.expires > now) {
+            return copyCacheEntry(entry);
+        }
+
+        if (entry) {
+            const options = args.options || {};
+
+            args = {
+                ...args,
+                options: { ...options, headers: { ...getRevalidationHeaders(entry), ...options.headers } },
+            };
         }
 
+        const res = await this.dispatchWithRetry(args);
+
+        if (entry && res.status === 304) {
+            const headers = { ...entry.headers, ...res.headers };
+            const updated = createCacheEntry(req.url, entry.status, headers, entry.data, Date.now());
+
+            if (updated) {
+                await store.set(key, updated);
+            } else {
+                await store.delete(key);
+            }
+
+            return copyCacheEntry({ ...entry, headers });
+        }
+
+        const created = createCacheEntry(req.url, res.status, res.headers, res.data, Date.now());
+
+        if (created) {
+            await store.set(key, copyCacheEntry(created));
+        } else if (entry) {
+            // The stale response was replaced by one, which may not be cached.
+            await store.delete(key);
+        }
+
+        return res;
+    }
+
+    /**
+     * Returns the transport configured for this client or inherited from it's parents.
+     */
+    getTransport (): Transport {
+        let transport = this.getOption("transport");
+
+        if (transport === undefined) {
+            // Share the default transport, so that it is inherited by child clients.
+            transport = new AxiosTransport();
+            this.getRoot().configure({ transport });
+        }
+
+        return transport;
+    }
+
+    /**
+     * Registers a listener for an event emitted by this client or any client derived from it.
+     */
+    on<E extends keyof ClientEvents> (event: E, listener: Listener<E>): this {
+        const listeners = (this.listeners[event] || []) as Listener<E>[];
+        this.listeners[event] = [ ...listeners, listener ] as any;
+        return this;
+    }
+
+    /**
+     * Removes a listener previously registered using `on`.
+     */
+    off<E extends keyof ClientEvents> (event: E, listener: Listener<E>) {
+        const listeners = (this.listeners[event] || []) as Listener<E>[];
+        this.listeners[event] = listeners.filter((l) => l !== listener) as any;
+    }
+
+    /**
+     * Invokes the listeners of this client and it's parents for an event.
+     */
+    emit<E extends keyof ClientEvents> (event: E, payload: ClientEvents[E]) {
+        const listeners = (this.listeners[event] || []) as Listener<E>[];
+        listeners.forEach((listener) => listener(payload));
+
+        if (this.parent) {
+            this.parent.emit(event, payload);
+        }
+    }
+
+    /**
+     * Obtains a new access token from the configured token provider and stores it
+     * to the client, which the token provider was configured for.
+     *
+     * Concurrent calls share a single call to the token provider.
+     *
+     * @returns The new token, or null if a new token could not be obtained.
+     */
+    refreshAccessToken (): Promise<string | null> {
+        const owner = this.getOptionOwner("tokenProvider");
+
+        if (owner === undefined) {
+            return Promise.resolve(null);
+        }
+
+        if (owner.pendingTokenRefresh === null) {
+            const provider = owner.options.tokenProvider as TokenProvider;
+
+            const done = (token: string | null) => {
+                owner.pendingTokenRefresh = null;
+
+                if (token !== null) {
+                    owner.setAccessToken(token);
+                }
+
+                return token;
+            };
+
+            owner.pendingTokenRefresh = provider().then(done, (error) => {
+                done(null);
+                throw error;
+            });
+        }
+
+        return owner.pendingTokenRefresh;
+    }
+
+    /**
+     * Adds an interceptor to the end of this client's interceptor chain.
+     *
+     * Interceptors apply to the requests of this client and all clients derived from it.
+     * Interceptors of parent clients are invoked before the interceptors of their children.
+     */
+    use (interceptor: Interceptor): this {
+        this.interceptors.push(interceptor);
+        return this;
+    }
+
+    /**
+     * Removes an interceptor previously added using `use`.
+     */
+    eject (interceptor: Interceptor) {
+        this.interceptors = this.interceptors.filter((i) => i !== interceptor);
+    }
+
+    /**
+     * Returns the interceptors applying to this client's requests, in the order
+     * in which they are invoked.
+     */
+    getInterceptors (): Interceptor[] {
+        return [
+            ...(this.parent ? this.parent.getInterceptors() : []),
+            ...this.interceptors,
+        ];
+    }
+
+    /**
+     * Returns the retry policy applying to this client's requests,
+     * or null if retries are disabled.
+     */
+    getRetryPolicy (): RetryPolicy | null {
+        const retry = this.getOption("retry");
+
+        if (retry === false) {
+            return null;
+        }
+
+        return { ...defaultRetryPolicy, ...retry };
+    }
+
+    /**
+     * Returns the idempotency key, with which a request should be sent, or undefined
+     * if the request should be sent without one.
+     */
+    getIdempotencyKey (args: RequestArguments): string | undefined {
+        const given = args.idempotencyKey || (args.options && args.options.idempotencyKey);
+
+        if (given !== undefined) {
+            return given;
+        }
+
+        const setting = this.getOption("idempotencyKeys");
+        const method = String(args.method).toLowerCase();
+
+        // Requests, which may be queued if they fail, need a key already on the
+        // first attempt, as they are replayed with the same key.
+        if (setting !== false && this.getOption("offlineQueue") && isQueueable(args)) {
+            return generateIdempotencyKey();
+        }
+
+        if (setting === true ? method === "post" || method === "patch" : setting === undefined && args.idempotent) {
+            return generateIdempotencyKey();
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Builds and dispatches a request, retrying it according to the retry policy
+     * if it fails due to a network error or a retryable status code.
+     *
+     * Requests are only retried if their method is idempotent or the API is known
+     * to accept their idempotency key, so that for example a purchase is never made twice.
+     */
+    async dispatchWithRetry (args: RequestArguments): Promise<TransportResponse> {
+        const policy = this.getRetryPolicy();
+        const retryable = policy !== null && isRetryable(policy, String(args.method), !!args.idempotent);
+        const signal = args.options && args.options.signal;
+
+        for (let attempt = 1; ; attempt++) {
+            const canRetry = retryable && attempt < (policy as RetryPolicy).maxAttempts;
+            let res: TransportResponse;
+
+            try {
+                res = await this.dispatchWithTimeout(args);
+            } catch (error) {
+                if (!canRetry || !(policy as RetryPolicy).retryNetworkErrors || !isNetworkError(error)) {
+                    throw error;
+                }
+
+                const delay = getRetryDelay(policy as RetryPolicy, attempt);
+                this.emit("retry", { client: this, args, attempt, delay, error });
+                await sleep(delay, signal);
+                continue;
+            }
+
+            if (!canRetry || (policy as RetryPolicy).statusCodes.indexOf(res.status) === -1) {
+                return res;
+            }
+
+            const delay = getRetryDelay(policy as RetryPolicy, attempt, res.headers);
+            this.emit("retry", { client: this, args, attempt, delay, status: res.status });
+            await sleep(delay, signal);
+        }
+    }
+
+    /**
+     * Builds and dispatches a request, applying the timeout and the abort signal
+     * of the request options.
+     *
+     * @throws RequestAbortedError if the signal is aborted before a response is received.
+     * @throws RequestTimeoutError if a response is not received within the timeout.
+     */
+    dispatchWithTimeout (args: RequestArguments): Promise<TransportResponse> {
+        const options = args.options || {};
+        const signal = options.signal;
+        const timeout = options.timeout !== undefined ? options.timeout : this.getOption("timeout");
+
+        if (signal && signal.aborted) {
+            return Promise.reject(new RequestAbortedError());
+        }
+
+        const req = this.buildRequest(args);
+
+        if (!signal && !timeout) {
+            return this.dispatch(req, args);
+        }
+
+        // Lets the transport abort the request, if AbortController is available.
+        const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+
+        if (controller) {
+            req.signal = controller.signal;
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer: any = null;
+
+            const settle = (error: Error | null, res?: TransportResponse) => {
+                if (timer !== null) {
+                    clearTimeout(timer);
+                }
+
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+
+                if (error && controller) {
+                    controller.abort();
+                }
+
+                // A streamed body is still being received, so aborting the signal
+                // should abort the download, until the stream has finished.
+                if (res && signal && controller && args.responseType === "stream" && res.data && typeof res.data.getReader === "function") {
+                    const abortDownload = () => controller.abort();
+
+                    signal.addEventListener("abort", abortDownload);
+                    res.data = observeStream(res.data, () => signal.removeEventListener("abort", abortDownload));
+                }
+
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(res);
+                }
+            };
+
+            const onAbort = () => settle(new RequestAbortedError());
+
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
+
+            if (timeout) {
+                timer = setTimeout(() => settle(new RequestTimeoutError(timeout)), timeout);
+            }
+
+            this.dispatch(req, args).then((res) => settle(null, res), (error) => settle(error));
+        });
+    }
+
+    /**
+     * Passes the request through the interceptor chain and finally to the transport.
+     */
+    dispatch (req: TransportRequest, args: RequestArguments): Promise<TransportResponse> {
+        const interceptors = this.getInterceptors();
+        const transport = this.getTransport();
+        const context = { client: this, args };
+
+        const next = (index: number, req: TransportRequest): Promise<TransportResponse> => {
+            if (index < interceptors.length) {
+                return interceptors[index](req, (req) => next(index + 1, req), context);
+            }
+
+            return transport.request(req).then((res) => ({ ...res, request: req }));
+        };
+
+        return next(0, req);
+    }
+
+    getRoot (): Client {
+        return this.parent ? this.parent.getRoot() : this;
+    }
+
+    getHeaders(): HeaderDict {
         return Object.assign(
             {},
             this.parent ? this.parent.getHeaders() : {},
             this.headers,
-            headers
         );
     }
 
-    async request (args: RequestArguments) {
-        let headers = this.getHeaders();
+    /**
+     * Sends a request and returns the response regardless of it's status code.
+     */
+    async send (args: RequestArguments): Promise<ApiResponse> {
+        const givenKey = args.idempotencyKey || (args.options && args.options.idempotencyKey);
+
+        args = {
+            ...args,
+            idempotencyKey: this.getIdempotencyKey(args),
+            // Keys generated for operations not marked with `x-codegen-idempotent` do not
+            // make retrying safe, as the API may ignore the key for such operations.
+            idempotent: args.idempotent || givenKey !== undefined,
+        };
+
+        const validate = args.requestSchema && args.body !== undefined && this.getOption("validateRequests");
+
+        // Only JSON bodies are validated, as the schemas of other content types
+        // describe the body before serialization.
+        if (validate && isJsonMediaType(getRequestMediaType(args))) {
+            const issues = validateSchema(args.body, args.requestSchema as SchemaNode);
+
+            if (issues.length > 0) {
+                throw new ValidationError(
+                    `Invalid request body for ${String(args.method).toUpperCase()} ${args.path}:`,
+                    issues,
+                );
+            }
+        }
+
+        // Only a rejected access token can be fixed by obtaining a new one.
+        const token = this.getSentAccessToken(args.security);
+        const started = Date.now();
+        let res = await this.dispatchOrQueue(args);
+
+        if (res.status === 401 && token !== null && this.getOption("tokenProvider")) {
+            res = await this.reauthenticate(args, res, token);
+        }
+
+        const queue = this.getOption("offlineQueue");
+
+        // A response was received, so the queued requests can likely be sent too.
+        if (queue && res.status < 500) {
+            queue.size()
+                .then((size) => size > 0 ? this.replayQueue() : undefined)
+                .catch(() => undefined);
+        }
+
+        const response = {
+            status: res.status,
+            headers: res.headers,
+            data: res.data,
+            request: res.request || this.buildRequest(args),
+            duration: Date.now() - started,
+        };
+
+        if (args.responseSchemas && args.responseType !== "stream" && this.getOption("validateResponses")) {
+            this.validateResponse(args, response);
+        }
+
+        return response;
+    }
+
+    /**
+     * Builds the HTTP request for the given request arguments.
+     */
+    buildRequest (args: RequestArguments): TransportRequest {
+        let headers = Object.assign(
+            this.getHeaders(),
+            serializeHeaders(args.headers || []),
+        );
+
         let body = undefined;
+        let url = this.getUrl(args.path);
+
+        const queryParams = [ ...(args.query || []) ];
+        const cookieParams = [ ...(args.cookies || []) ];
+
+        for (const applied of this.getAuthentication(args.security)) {
+            Object.assign(headers, applied.headers);
+
+            Object.keys(applied.query).forEach((name) =>
+                queryParams.push({ name, value: applied.query[name], style: "form", explode: true }));
+
+            Object.keys(applied.cookies).forEach((name) =>
+                cookieParams.push({ name, value: applied.cookies[name], style: "form", explode: true }));
+        }
+
+        const query = serializeQuery(queryParams);
+
+        if (query) {
+            url += "?" + query;
+        }
+
+        // Note that browsers do not allow setting the Cookie header manually.
+        const cookies = serializeCookies(cookieParams);
+
+        if (cookies) {
+            headers["Cookie"] = cookies;
+        }
+
+        if (args.idempotencyKey !== undefined) {
+            headers["Idempotency-Key"] = args.idempotencyKey;
+        }
 
         if (args.body !== undefined) {
-            headers["Content-Type"] = "application/json";
-            body = JSON.stringify(args.body);
+            const serialized = serializeBody(args.body, args.contentType || "application/json");
+
+            body = serialized.body;
+
+            if (serialized.contentType !== null) {
+                headers["Content-Type"] = serialized.contentType;
+            }
+        }
+
+        if (args.options && args.options.headers) {
+            Object.assign(headers, args.options.headers);
         }
-        
-        let res = await axios({
-            url: this.getUrl(args.path),
-            method: args.method,
+
+        return {
+            url,
+            method: String(args.method),
             headers,
-            data: body,
-        });
+            body,
+            responseType: args.responseType,
+        };
+    }
+
+    /**
+     * Obtains a new access token and retries a request, which was rejected with status 401.
+     *
+     * If the token has already been changed since the request was sent, the request is
+     * retried without obtaining a new token.
+     *
+     * @param args - Arguments of the rejected request.
+     * @param res - The 401 response.
+     * @param token - The access token, with which the request was sent.
+     *
+     * @returns Response of the retried request, or the original response if
+     *    a new token could not be obtained.
+     */
+    async reauthenticate (args: RequestArguments, res: TransportResponse, token: string | null): Promise<TransportResponse> {
+        let newToken = this.getAccessToken();
+
+        if (newToken === token) {
+            try {
+                newToken = await this.refreshAccessToken();
+            } catch (error) {
+                this.emit("reauthenticationFailed", { client: this, error });
+                return res;
+            }
+        }
+
+        if (newToken === null) {
+            this.emit("reauthenticationFailed", { client: this });
+            return res;
+        }
+
+        const retried = await this.dispatchWithRetry(args);
+
+        if (retried.status === 401) {
+            this.emit("reauthenticationFailed", { client: this });
+        }
+
+        return retried;
+    }
+
+
+    /**
+     * Validates the response body against the schema defined for the response's
+     * status code and content type.
+     *
+     * @throws ValidationError if the body does not match the schema.
+     */
+    validateResponse (args: RequestArguments, res: ApiResponse) {
+        const schemas = (args.responseSchemas || {})[res.status];
+
+        if (!schemas) {
+            return;
+        }
+
+        const contentTypes = Object.keys(schemas);
+        const mediaType = getMediaType(res.headers);
+
+        let schema: SchemaNode | undefined = undefined;
 
+        if (mediaType && mediaType in schemas) {
+            schema = schemas[mediaType];
+        } else if (contentTypes.length === 1) {
+            schema = schemas[contentTypes[0]];
+        }
+
+        if (schema === undefined) {
+            return;
+        }
+
+        const issues = validateSchema(res.data, schema);
+
+        if (issues.length > 0) {
+            throw new ValidationError(
+                `Invalid response body for ${String(args.method).toUpperCase()} ${args.path} (status ${res.status}):`,
+                issues,
+            );
+        }
+    }
+
+    /**
+     * Sends a request and returns the response, if it has a 2xx status code.
+     *
+     * Throws an `ApiError`, or the subclass of it specified in `args.errors` for
+     * the status code, its range (such as `"4XX"`) or `"default"`, in that order,
+     * if the response has a non-2xx status code.
+     */
+    async sendOrThrow (args: RequestArguments): Promise<ApiResponse> {
+        const res = await this.send(args);
+
+        if (res.status < 200 || res.status >= 300) {
+            const errors = args.errors || {};
+            const ErrorClass = errors[res.status] || errors[Math.floor(res.status / 100) + "XX"] || errors["default"] || ApiError;
+            throw new ErrorClass(res.status, res.data, res.headers);
+        }
+
+        return res;
+    }
+
+    /**
+     * Sends a request and returns the response body. See `sendOrThrow`.
+     */
+    async request (args: RequestArguments) {
+        const res = await this.sendOrThrow(args);
         return res.data;
     }
 }
@@ -0,0 +1,99 @@
+import { HeaderDict } from './client';
+import { QueuedRequest } from './offline';
+
+/**
+ * Error thrown when the API responds with a non-2xx status code.
+ *
+ * The code generator creates a subclass of this class for each documented
+ * error response of each operation, so that callers can distinguish them
+ * using `instanceof` and get a typed response body.
+ */
+export class ApiError<T = any> extends Error {
+    status: number;
+    body: T;
+    headers: HeaderDict;
+
+    constructor (status: number, body: T, headers: HeaderDict, message?: string) {
+        super(message || `Request failed with status code ${status}`);
+
+        // Restore the prototype chain, which is broken when extending
+        // built-in classes and targeting ES5.
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Error thrown when a request is cancelled using the signal passed in the request options.
+ */
+export class RequestAbortedError extends Error {
+    constructor (message: string = "Request was aborted") {
+        super(message);
+
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * Error thrown when the API does not respond within the configured timeout.
+ */
+export class RequestTimeoutError extends Error {
+    timeout: number;
+
+    constructor (timeout: number) {
+        super(`Request timed out after ${timeout} ms`);
+
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Error thrown by a transport when the API could not be reached, for example because
+ * the connection was refused or lost before a response was received.
+ *
+ * @property cause - The error thrown by the underlying HTTP client.
+ */
+export class NetworkError extends Error {
+    cause: any;
+
+    constructor (cause: any) {
+        super(`Network error: ${cause && cause.message ? cause.message : cause}`);
+
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Error thrown when a mutating request could not be sent because the API was
+ * unreachable, and the request was stored in the offline queue instead.
+ * The request is sent later by `Client.replayQueue`.
+ */
+export class RequestQueuedError extends Error {
+    request: QueuedRequest;
+
+    constructor (request: QueuedRequest) {
+        super("The API is unreachable, the request was queued for sending later");
+
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+        this.request = request;
+    }
+}
+
+/**
+ * Constructor type of `ApiError` and it's generated subclasses.
+ */
+export type ApiErrorClass = new (status: number, body: any, headers: HeaderDict) => ApiError;
@@ -0,0 +1,248 @@
+import { Parameter } from './parameters';
+import { SecurityScheme } from './auth';
+
+/**
+ * A request stored in the offline queue.
+ *
+ * Contains the serializable subset of the request arguments, which
+ * is needed for sending the request again.
+ *
+ * @property id - Unique identifier of the queued request.
+ * @property queuedAt - Time in milliseconds since the epoch, when the request was queued.
+ * @property path - Path of the request, relative to the client for which the queue is configured.
+ */
+export interface QueuedRequest {
+    id: string;
+    queuedAt: number;
+    path: string;
+    method: string;
+    body?: any;
+    contentType?: string;
+    query?: Parameter[];
+    headers?: Parameter[];
+    cookies?: Parameter[];
+    security?: SecurityScheme[][];
+    idempotencyKey: string;
+    idempotent?: boolean;
+    invalidates?: string[];
+    extraHeaders?: { [header: string]: string };
+}
+
+/**
+ * Persistent storage for the offline queue.
+ *
+ * The queue is always loaded and saved as a whole. The requests
+ * are plain objects, which can be serialized as JSON.
+ */
+export interface OfflineStorage {
+    load (): Promise<QueuedRequest[]>;
+    save (requests: QueuedRequest[]): Promise<void>;
+}
+
+/**
+ * Storage, which keeps the queue in memory. The queued requests
+ * are lost when the application exits.
+ */
+export class MemoryOfflineStorage implements OfflineStorage {
+    requests: QueuedRequest[];
+
+    constructor () {
+        this.requests = [];
+    }
+
+    async load (): Promise<QueuedRequest[]> {
+        return this.requests.slice();
+    }
+
+    async save (requests: QueuedRequest[]): Promise<void> {
+        this.requests = requests.slice();
+    }
+}
+
+/**
+ * The subset of the promise-based API of the Node.js `fs` module,
+ * which is used by `FileOfflineStorage`.
+ */
+export interface OfflineFileSystem {
+    readFile (path: string, encoding: "utf8"): Promise<string>;
+    writeFile (path: string, data: string, encoding: "utf8"): Promise<void>;
+    rename (oldPath: string, newPath: string): Promise<void>;
+}
+
+/**
+ * Storage, which keeps the queue in a JSON file. Only available in Node.js.
+ *
+ * The `fs` module is passed in by the application, as bundlers cannot build
+ * this module for browsers, if it refers to `fs` itself.
+ *
+ * ```ts
+ * import { promises as fs } from "fs";
+ *
+ * const queue = new OfflineQueue(new FileOfflineStorage("queue.json", fs));
+ * ```
+ */
+export class FileOfflineStorage implements OfflineStorage {
+    filename: string;
+    fs: OfflineFileSystem;
+
+    /**
+     * @param filename - Path of the file. It is created when the first request is queued.
+     * @param fs - The promise-based API of the `fs` module, `require("fs").promises`.
+     */
+    constructor (filename: string, fs: OfflineFileSystem) {
+        this.filename = filename;
+        this.fs = fs;
+    }
+
+    async load (): Promise<QueuedRequest[]> {
+        try {
+            return JSON.parse(await this.fs.readFile(this.filename, "utf8"));
+        } catch (error) {
+            if ((error as any).code === "ENOENT") {
+                return [];
+            }
+
+            throw error;
+        }
+    }
+
+    async save (requests: QueuedRequest[]): Promise<void> {
+        // Write to a temporary file first, so that the queue is not
+        // corrupted if the application exits while writing.
+        await this.fs.writeFile(this.filename + ".tmp", JSON.stringify(requests), "utf8");
+        await this.fs.rename(this.filename + ".tmp", this.filename);
+    }
+}
+
+/**
+ * Storage, which keeps the queue in an IndexedDB database. Available in browsers.
+ */
+export class IndexedDBOfflineStorage implements OfflineStorage {
+    name: string;
+    database: Promise<IDBDatabase> | null;
+
+    /**
+     * @param name - Name of the database.
+     */
+    constructor (name: string = "rv-client-offline-queue") {
+        this.name = name;
+        this.database = null;
+    }
+
+    open (): Promise<IDBDatabase> {
+        if (this.database === null) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+
+                request.onupgradeneeded = () => request.result.createObjectStore("requests", { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.database;
+    }
+
+    async load (): Promise<QueuedRequest[]> {
+        const db = await this.open();
+
+        return new Promise<QueuedRequest[]>((resolve, reject) => {
+            const request = db.transaction("requests", "readonly").objectStore("requests").getAll();
+
+            request.onsuccess = () => resolve((request.result as QueuedRequest[])
+                .sort((a, b) => a.queuedAt - b.queuedAt));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async save (requests: QueuedRequest[]): Promise<void> {
+        const db = await this.open();
+
+        return new Promise<void>((resolve, reject) => {
+            const transaction = db.transaction("requests", "readwrite");
+            const store = transaction.objectStore("requests");
+
+            store.clear();
+            requests.forEach((request) => store.put(request));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Queue of mutating requests, which could not be sent because the API was
+ * unreachable. The requests are replayed in order by `Client.replayQueue`.
+ *
+ * Keeps a copy of the queue in memory, and writes all changes through to the storage.
+ */
+export class OfflineQueue {
+    storage: OfflineStorage;
+    requests: QueuedRequest[] | null;
+    pending: Promise<any>;
+
+    /**
+     * Promise of the replay in progress, if any. Used by the client
+     * to prevent replaying the queue concurrently.
+     */
+    replaying: Promise<void> | null;
+
+    /** True if the queue is replayed when the browser comes back online. */
+    watching: boolean;
+
+    /**
+     * @param storage - Storage for the queue. Defaults to `MemoryOfflineStorage`.
+     */
+    constructor (storage: OfflineStorage = new MemoryOfflineStorage()) {
+        this.storage = storage;
+        this.requests = null;
+        this.pending = Promise.resolve();
+        this.replaying = null;
+        this.watching = false;
+    }
+
+    /**
+     * Runs the operations on the queue one at a time, so that
+     * concurrent changes are not lost.
+     */
+    serialize<T> (operation: (requests: QueuedRequest[]) => Promise<T>): Promise<T> {
+        const result = this.pending.then(async () => {
+            if (this.requests === null) {
+                this.requests = await this.storage.load();
+            }
+
+            return operation(this.requests);
+        });
+
+        this.pending = result.catch(() => undefined);
+
+        return result;
+    }
+
+    /** Returns the queued requests in the order, in which they are replayed. */
+    list (): Promise<QueuedRequest[]> {
+        return this.serialize(async (requests) => requests.slice());
+    }
+
+    /** Returns the number of queued requests. */
+    size (): Promise<number> {
+        return this.serialize(async (requests) => requests.length);
+    }
+
+    /** Adds a request to the end of the queue. */
+    push (request: QueuedRequest): Promise<void> {
+        return this.serialize(async (requests) => {
+            requests.push(request);
+            await this.storage.save(requests);
+        });
+    }
+
+    /** Removes a request from the queue. */
+    remove (id: string): Promise<void> {
+        return this.serialize(async (requests) => {
+            this.requests = requests.filter((request) => request.id !== id);
+            await this.storage.save(this.requests);
+        });
+    }
+}
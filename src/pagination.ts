@@ -0,0 +1,89 @@
+/**
+ * A page of items returned by the fetch function of a `Paginator`.
+ *
+ * @property items - Items on the page.
+ * @property next - State, with which the next page is fetched, such as a cursor
+ *    or an offset. Null or undefined if this is the last page.
+ */
+export interface Page<T, S> {
+    items: T[];
+    next: S | null | undefined;
+}
+
+/**
+ * Async iterator over the items of a paginated list operation.
+ *
+ * Pages are fetched lazily, one at a time, as the items are consumed.
+ * The iteration ends when a page has no next page or contains no items.
+ * Generated `...Iter` methods return instances of this class.
+ *
+ * ```ts
+ * for await (const event of api.getHistoryIter()) {
+ *     console.log(event);
+ * }
+ * ```
+ */
+export class Paginator<T, S> implements AsyncIterableIterator<T> {
+    fetchPage: (state: S | undefined) => Promise<Page<T, S>>;
+    state: S | undefined;
+    buffer: T[];
+    done: boolean;
+
+    /**
+     * @param fetchPage - Function, which fetches the page identified by the given state.
+     * @param initial - State, with which the first page is fetched.
+     */
+    constructor (fetchPage: (state: S | undefined) => Promise<Page<T, S>>, initial?: S) {
+        this.fetchPage = fetchPage;
+        this.state = initial;
+        this.buffer = [];
+        this.done = false;
+    }
+
+    async next (): Promise<IteratorResult<T>> {
+        while (this.buffer.length === 0) {
+            if (this.done) {
+                return { done: true, value: undefined };
+            }
+
+            const page = await this.fetchPage(this.state);
+
+            this.buffer = page.items.slice();
+
+            if (page.next === null || page.next === undefined || page.items.length === 0) {
+                this.done = true;
+            } else {
+                this.state = page.next;
+            }
+        }
+
+        return { done: false, value: this.buffer.shift() as T };
+    }
+
+    /**
+     * Stops the iteration. Called automatically when a `for await` loop is exited early.
+     */
+    async return (): Promise<IteratorResult<T>> {
+        this.done = true;
+        this.buffer = [];
+
+        return { done: true, value: undefined };
+    }
+
+    [Symbol.asyncIterator] (): AsyncIterableIterator<T> {
+        return this;
+    }
+
+    /**
+     * Fetches all remaining pages and returns their items.
+     */
+    async toArray (): Promise<T[]> {
+        const items: T[] = [];
+
+        for (let result = await this.next(); !result.done; result = await this.next()) {
+            items.push(result.value);
+        }
+
+        return items;
+    }
+}
@@ -0,0 +1,138 @@
+export type ParameterStyle =
+    | "simple"
+    | "form"
+    | "spaceDelimited"
+    | "pipeDelimited"
+    | "deepObject";
+
+/**
+ * A query, header or cookie parameter of a request, together with the
+ * serialization rules defined for it in the OpenApi document.
+ */
+export interface Parameter {
+    name: string;
+    value: any;
+    style: ParameterStyle;
+    explode: boolean;
+}
+
+const delimiters: { [style: string]: string } = {
+    simple: ",",
+    form: ",",
+    spaceDelimited: " ",
+    pipeDelimited: "|",
+};
+
+/**
+ * Returns true if the parameter has a value which should be sent.
+ */
+function hasValue(param: Parameter): boolean {
+    return param.value !== undefined && param.value !== null;
+}
+
+/**
+ * Serializes a primitive value. Dates are serialized as ISO 8601 strings.
+ */
+function serializeValue(value: any): string {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    return String(value);
+}
+
+/**
+ * Serializes query parameters into a query string, without the leading `?`.
+ *
+ * Follows the `style` and `explode` serialization rules of the OpenApi specification.
+ */
+export function serializeQuery(params: Parameter[]): string {
+    const pairs: Array<[string, string]> = [];
+
+    for (const param of params.filter(hasValue)) {
+        const { name, value, style, explode } = param;
+
+        if (Array.isArray(value)) {
+            if (explode) {
+                value.forEach((item) => pairs.push([name, serializeValue(item)]));
+            } else {
+                pairs.push([name, value.map(serializeValue).join(delimiters[style] || ",")]);
+            }
+        } else if (typeof value === "object" && !(value instanceof Date)) {
+            const entries = Object.entries(value)
+                .filter(([, v]) => v !== undefined && v !== null);
+
+            if (style === "deepObject") {
+                entries.forEach(([key, v]) => pairs.push([`${name}[${key}]`, serializeValue(v)]));
+            } else if (explode) {
+                entries.forEach(([key, v]) => pairs.push([key, serializeValue(v)]));
+            } else {
+                const flat = entries.map(([key, v]) => key + "," + serializeValue(v));
+                pairs.push([name, flat.join(",")]);
+            }
+        } else {
+            pairs.push([name, serializeValue(value)]);
+        }
+    }
+
+    return pairs
+        .map(([key, value]) => encodeURIComponent(key) + "=" + encodeURIComponent(value))
+        .join("&");
+}
+
+/**
+ * Serializes a header parameter using the `simple` style.
+ */
+export function serializeHeader(param: Parameter): string {
+    const { value, explode } = param;
+
+    if (Array.isArray(value)) {
+        return value.map(serializeValue).join(",");
+    }
+
+    if (typeof value === "object" && !(value instanceof Date)) {
+        return Object.entries(value)
+            .filter(([, v]) => v !== undefined && v !== null)
+            .map(([key, v]) => key + (explode ? "=" : ",") + serializeValue(v))
+            .join(",");
+    }
+
+    return serializeValue(value);
+}
+
+/**
+ * Serializes header parameters into a dictionary of headers.
+ */
+export function serializeHeaders(params: Parameter[]): { [header: string]: string } {
+    const headers: { [header: string]: string } = {};
+
+    for (const param of params.filter(hasValue)) {
+        headers[param.name] = serializeHeader(param);
+    }
+
+    return headers;
+}
+
+/**
+ * Serializes cookie parameters into the value of a `Cookie` header
+ * using the `form` style.
+ *
+ * Returns null if none of the parameters have a value.
+ */
+export function serializeCookies(params: Parameter[]): string | null {
+    const cookies = params
+        .filter(hasValue)
+        .map(({ name, value, explode }) => {
+            if (Array.isArray(value) && explode) {
+                return value.map((item) => name + "=" + encodeURIComponent(serializeValue(item))).join("; ");
+            }
+
+            return name + "=" + encodeURIComponent(serializeHeader({ name, value, explode: false, style: "form" }));
+        });
+
+    if (cookies.length === 0) {
+        return null;
+    }
+
+    return cookies.join("; ");
+}
@@ -0,0 +1,128 @@
+import { HeaderDict } from './client';
+import { RequestAbortedError } from './errors';
+
+/**
+ * Determines which failed requests are retried, and how long to wait between the attempts.
+ *
+ * @property maxAttempts - Maximum number of attempts, including the first one.
+ * @property initialDelay - Delay before the first retry, in milliseconds.
+ * @property maxDelay - Upper limit for the delay between attempts, in milliseconds.
+ * @property factor - Multiplier applied to the delay after each retry.
+ * @property jitter - Fraction of the delay, which is randomized in order to spread
+ *    out the retries of multiple clients. For example 0.5 results in delays between
+ *    50% and 100% of the computed delay.
+ * @property statusCodes - Response status codes, which are retried.
+ * @property methods - HTTP methods, which are considered idempotent and can be retried
+ *    safely. Requests with other methods are only retried if the operation is marked with
+ *    `x-codegen-idempotent` or the caller supplies an idempotency key.
+ * @property retryNetworkErrors - Whether requests, for which the transport throws a
+ *    `NetworkError` or which time out, are retried.
+ */
+export interface RetryPolicy {
+    maxAttempts: number;
+    initialDelay: number;
+    maxDelay: number;
+    factor: number;
+    jitter: number;
+    statusCodes: number[];
+    methods: string[];
+    retryNetworkErrors: boolean;
+}
+
+export const defaultRetryPolicy: RetryPolicy = {
+    maxAttempts: 3,
+    initialDelay: 200,
+    maxDelay: 5000,
+    factor: 2,
+    jitter: 0.5,
+    statusCodes: [ 408, 429, 502, 503, 504 ],
+    methods: [ "get", "head", "options", "put", "delete" ],
+    retryNetworkErrors: true,
+};
+
+/**
+ * Returns true if a request with the given method can be retried under the policy.
+ *
+ * @param idempotent - True if the API is known to handle repeats of the request safely,
+ *    regardless of it's method.
+ */
+export function isRetryable(policy: RetryPolicy, method: string, idempotent: boolean = false): boolean {
+    return idempotent || policy.methods.indexOf(method.toLowerCase()) !== -1;
+}
+
+/**
+ * Returns the delay before the given retry in milliseconds.
+ *
+ * If the response carries a `Retry-After` header with a delay in seconds,
+ * it takes precedence over the computed delay, up to `maxDelay`.
+ *
+ * @param attempt - Number of the attempt, which failed. Starts from 1.
+ * @param headers - Headers of the failed response, if there was one.
+ */
+export function getRetryDelay(policy: RetryPolicy, attempt: number, headers?: HeaderDict): number {
+    const retryAfter = headers && headers["retry-after"];
+
+    if (retryAfter && /^\d+$/.test(retryAfter.trim())) {
+        return Math.min(parseInt(retryAfter, 10) * 1000, policy.maxDelay);
+    }
+
+    const delay = Math.min(policy.initialDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+
+    return delay * (1 - policy.jitter * Math.random());
+}
+
+/**
+ * Waits for the given time in milliseconds.
+ *
+ * @param signal - Signal, which cancels the wait with a `RequestAbortedError`.
+ */
+export function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+    if (signal && signal.aborted) {
+        return Promise.reject(new RequestAbortedError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new RequestAbortedError());
+        };
+
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+
+            resolve();
+        }, ms);
+
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+    });
+}
+
+/**
+ * Generates a random idempotency key in the form of a version 4 UUID.
+ */
+export function generateIdempotencyKey(): string {
+    const bytes: number[] = [];
+
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+        const random = crypto.getRandomValues(new Uint8Array(16));
+
+        for (let i = 0; i < random.length; i++) {
+            bytes.push(random[i]);
+        }
+    } else {
+        for (let i = 0; i < 16; i++) {
+            bytes.push(Math.floor(Math.random() * 256));
+        }
+    }
+
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.map((byte) => (byte < 16 ? "0" : "") + byte.toString(16)).join("");
+
+    return [ hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20) ].join("-");
+}
@@ -0,0 +1,607 @@
+import axios, { AxiosInstance } from 'axios';
+import { HeaderDict, getMediaType } from './client';
+import { RequestBody, isJsonMediaType, isTextMediaType } from './body';
+import { NetworkError } from './errors';
+
+/**
+ * Determines how a transport reads the body of a response.
+ *
+ *  - `auto`: JSON bodies are parsed, and other bodies are returned as strings.
+ *  - `arraybuffer`: As `auto`, except that bodies, which are neither JSON nor text,
+ *    are returned as `ArrayBuffer`s.
+ *  - `stream`: Bodies of successful responses are returned as `ReadableStream`s
+ *    without reading them first. Other responses are read as with `auto`, so that
+ *    error bodies can be inspected.
+ */
+export type ResponseType = "auto" | "arraybuffer" | "stream";
+
+/**
+ * A HTTP request, as passed to a transport.
+ *
+ * The body has already been serialized. For `FormData` bodies, the transport
+ * is responsible for setting the `Content-Type` header including the boundary.
+ */
+export interface TransportRequest {
+    url: string;
+    method: string;
+    headers: HeaderDict;
+    body?: RequestBody;
+
+    /**
+     * Signal, which is aborted when the client no longer needs the response,
+     * for example because the request has timed out. Transports should abort
+     * the request when possible.
+     */
+    signal?: AbortSignal;
+
+    /** How the response body is read. Defaults to `auto`. */
+    responseType?: ResponseType;
+}
+
+/**
+ * A HTTP response, as returned by a transport.
+ *
+ * Header names are in lower case, and the body is read as
+ * requested by `TransportRequest.responseType`.
+ */
+export interface TransportResponse {
+    status: number;
+    headers: HeaderDict;
+    data: any;
+
+    /** The request, for which the response was received. Set by the client. */
+    request?: TransportRequest;
+}
+
+/**
+ * Sends HTTP requests on behalf of a client.
+ *
+ * Transports must not throw on non-2xx responses, as the status codes
+ * are handled by the client. When the API cannot be reached, transports
+ * throw a `NetworkError`, so that the client can retry or queue the request.
+ */
+export interface Transport {
+    request (req: TransportRequest): Promise<TransportResponse>;
+}
+
+/**
+ * Returns true if the `Content-Type` header denotes a JSON body.
+ */
+function isJson(headers: HeaderDict): boolean {
+    const mediaType = getMediaType(headers);
+    return mediaType !== null && isJsonMediaType(mediaType);
+}
+
+/**
+ * Parses a response body according to it's media type.
+ */
+function parseBody(text: string, headers: HeaderDict): any {
+    if (text.length > 0 && isJson(headers)) {
+        return JSON.parse(text);
+    }
+
+    return text.length > 0 ? text : undefined;
+}
+
+/**
+ * Reads a response body from binary data according to the response type and it's media type.
+ */
+function decodeBody(buffer: ArrayBuffer, headers: HeaderDict, responseType: ResponseType = "auto"): any {
+    const mediaType = getMediaType(headers);
+
+    if (responseType !== "auto" && (mediaType === null || !(isJsonMediaType(mediaType) || isTextMediaType(mediaType)))) {
+        return buffer.byteLength > 0 ? buffer : undefined;
+    }
+
+    return parseBody(new TextDecoder().decode(buffer), headers);
+}
+
+/**
+ * Returns true if the body of the response should be returned as a stream.
+ */
+function isStreamed(req: TransportRequest, status: number): boolean {
+    return req.responseType === "stream" && status >= 200 && status < 300;
+}
+
+/**
+ * Returns the `ReadableStream` class, which is global in browsers and in Node.js 18.
+ *
+ * The `stream/web` module of older Node.js versions is not used, as bundlers
+ * cannot build this module for browsers, if it refers to Node.js modules.
+ *
+ * @throws Error if streams are not supported.
+ */
+function getReadableStream(): typeof ReadableStream {
+    if (typeof ReadableStream === "undefined") {
+        throw new Error("Streaming responses requires ReadableStream, which is available in Node.js 18 and newer");
+    }
+
+    return ReadableStream;
+}
+
+/**
+ * Creates a stream, which yields the given data as a single chunk.
+ */
+function createStream(data: ArrayBuffer | ArrayBufferView): ReadableStream<Uint8Array> {
+    const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+
+    return new (getReadableStream())<Uint8Array>({
+        start (controller) {
+            if (bytes.byteLength > 0) {
+                controller.enqueue(bytes);
+            }
+
+            controller.close();
+        },
+    });
+}
+
+/**
+ * Wraps a stream, so that the callback is called once, when the stream has been
+ * read to the end, has failed or has been cancelled.
+ */
+export function observeStream(stream: ReadableStream<Uint8Array>, onFinished: () => void): ReadableStream<Uint8Array> {
+    const reader = stream.getReader();
+    let finished = false;
+
+    const finish = () => {
+        if (!finished) {
+            finished = true;
+            onFinished();
+        }
+    };
+
+    return new (getReadableStream())<Uint8Array>({
+        async pull (controller) {
+            try {
+                const { value, done } = await reader.read();
+
+                if (done) {
+                    finish();
+                    controller.close();
+                } else {
+                    controller.enqueue(value as Uint8Array);
+                }
+            } catch (error) {
+                finish();
+                controller.error(error);
+            }
+        },
+        cancel (reason) {
+            finish();
+            return reader.cancel(reason);
+        },
+    });
+}
+
+/**
+ * Converts a Node.js readable stream of buffers into a web stream.
+ *
+ * Unlike `Readable.toWeb`, which was added in Node.js 17, only requires `ReadableStream`.
+ */
+function fromNodeStream(stream: any): ReadableStream<Uint8Array> {
+    const iterator = stream[Symbol.asyncIterator]();
+
+    return new (getReadableStream())<Uint8Array>({
+        async pull (controller) {
+            const { value, done } = await iterator.next();
+
+            if (done) {
+                controller.close();
+            } else {
+                controller.enqueue(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+            }
+        },
+        cancel () {
+            stream.destroy();
+        },
+    });
+}
+
+/**
+ * Copies the contents of a Node.js `Buffer` into an `ArrayBuffer` of it's own.
+ */
+function toArrayBuffer(buffer: Buffer): ArrayBuffer {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength) as ArrayBuffer;
+}
+
+/**
+ * Parses a request body received by `MockTransport`, so that handlers can inspect it easily.
+ *
+ * JSON and `application/x-www-form-urlencoded` bodies are parsed into objects, and
+ * `FormData` into an object, in which fields occurring multiple times have array values.
+ */
+function parseRequestBody(body: RequestBody | undefined, headers: HeaderDict): any {
+    if (body === undefined) {
+        return undefined;
+    }
+
+    if (typeof FormData !== "undefined" && body instanceof FormData) {
+        const fields: { [name: string]: any } = {};
+
+        body.forEach((value, name) => {
+            fields[name] = name in fields ? ([] as any[]).concat(fields[name], value) : value;
+        });
+
+        return fields;
+    }
+
+    if (typeof body === "string" && getMediaType(headers) === "application/x-www-form-urlencoded") {
+        const fields: { [name: string]: string | string[] } = {};
+
+        new URLSearchParams(body).forEach((value, name) => {
+            fields[name] = name in fields ? ([] as string[]).concat(fields[name], value) : value;
+        });
+
+        return fields;
+    }
+
+    return typeof body === "string" ? parseBody(body, headers) : body;
+}
+
+/**
+ * Encodes a response body returned by a `MockTransport` handler as binary data.
+ */
+function encodeMockBody(data: any): ArrayBuffer {
+    if (data instanceof ArrayBuffer) {
+        return data.slice(0);
+    }
+
+    const view = ArrayBuffer.isView(data)
+        ? data
+        : new TextEncoder().encode(typeof data === "string" ? data : JSON.stringify(data));
+
+    return view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength) as ArrayBuffer;
+}
+
+/**
+ * Transport, which uses axios for sending the requests.
+ *
+ * This is the default transport. In Node.js, streaming responses and sending `FormData`
+ * bodies require version 18 or newer.
+ */
+export class AxiosTransport implements Transport {
+    instance: AxiosInstance;
+
+    /**
+     * @param instance - Axios instance to use. Can be used to configure for example
+     *    a custom HTTP agent. Defaults to the global axios instance.
+     */
+    constructor (instance: AxiosInstance = axios) {
+        this.instance = instance;
+    }
+
+    async request (req: TransportRequest): Promise<TransportResponse> {
+        const node = typeof XMLHttpRequest === "undefined";
+        const responseType = req.responseType || "auto";
+        let cancelToken = undefined;
+        let headers = req.headers;
+        let data: any = req.body;
+
+        // Fail before sending the request, if the response cannot be streamed.
+        if (node && responseType === "stream") {
+            getReadableStream();
+        }
+
+        // Outside browsers, axios only supports strings and buffers as request bodies.
+        if (node && data !== undefined && typeof data !== "string" && !Buffer.isBuffer(data)) {
+            let contentType: string | null = null;
+
+            if (ArrayBuffer.isView(data)) {
+                data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+            } else if (data instanceof ArrayBuffer) {
+                data = Buffer.from(data);
+            } else if (typeof Response !== "undefined") {
+                // FormData is serialized using the Fetch API, which is available in Node.js 18.
+                const serialized = new Response(data);
+                contentType = serialized.headers.get("content-type");
+                data = Buffer.from(await serialized.arrayBuffer());
+            } else if (typeof Blob !== "undefined" && data instanceof Blob) {
+                contentType = data.type || null;
+                data = Buffer.from(await data.arrayBuffer());
+            } else {
+                throw new Error("Sending FormData with AxiosTransport requires Node.js 18 or newer");
+            }
+
+            if (contentType && !Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+                headers = { ...headers, "Content-Type": contentType };
+            }
+        }
+
+        if (req.signal) {
+            const source = axios.CancelToken.source();
+            req.signal.addEventListener("abort", () => source.cancel());
+            cancelToken = source.token;
+        }
+
+
+        // The body is always read as text or binary data, and parsed based on it's
+        // media type, instead of letting axios guess whether the body is JSON.
+        // Streaming is only supported in Node.js, as XMLHttpRequest buffers the body.
+        const res = await this.instance.request({
+            url: req.url,
+            method: req.method as any,
+            headers,
+            data,
+            validateStatus: () => true,
+            cancelToken,
+            responseType: responseType === "auto" ? "text" : node && responseType === "stream" ? "stream" : "arraybuffer",
+            transformResponse: [ (data: any) => data ],
+        }).catch((error) => {
+            // Axios sets `request` on errors, for which no response was received.
+            throw !axios.isCancel(error) && error.request && !error.response ? new NetworkError(error) : error;
+        });
+
+        let body: any;
+
+        if (typeof res.data === "string") {
+            body = parseBody(res.data, res.headers);
+        } else if (node && responseType === "stream") {
+            if (isStreamed(req, res.status)) {
+                body = fromNodeStream(res.data);
+            } else {
+                const chunks: Buffer[] = [];
+
+                for await (const chunk of res.data) {
+                    chunks.push(chunk);
+                }
+
+                body = decodeBody(toArrayBuffer(Buffer.concat(chunks)), res.headers);
+            }
+        } else if (isStreamed(req, res.status)) {
+            body = createStream(res.data);
+        } else {
+            body = decodeBody(node ? toArrayBuffer(res.data) : res.data, res.headers, responseType);
+        }
+
+        return {
+            status: res.status,
+            headers: res.headers,
+            data: body,
+        };
+    }
+}
+
+type FetchFunction = (input: string, init?: RequestInit) => Promise<Response>;
+
+/**
+ * Transport, which uses the Fetch API for sending the requests.
+ * Can be used for example in service workers, where XMLHttpRequest is not available.
+ */
+export class FetchTransport implements Transport {
+    fetch: FetchFunction;
+    init: RequestInit;
+
+    /**
+     * @param fetchImpl - Implementation of `fetch` to use. Defaults to the global `fetch`.
+     * @param init - Additional options passed to every `fetch` call, such as `credentials`.
+     */
+    constructor (fetchImpl?: FetchFunction, init: RequestInit = {}) {
+        this.fetch = fetchImpl || ((input, init) => fetch(input, init));
+        this.init = init;
+    }
+
+    async request (req: TransportRequest): Promise<TransportResponse> {
+        // Fetch rejects with a TypeError, when the request fails due to a network error.
+        const wrap = (error: any) => {
+            throw error instanceof TypeError ? new NetworkError(error) : error;
+        };
+
+        const res = await this.fetch(req.url, {
+            ...this.init,
+            method: req.method.toUpperCase(),
+            headers: req.headers,
+            body: req.body,
+            signal: req.signal,
+        }).catch(wrap);
+
+        const headers: HeaderDict = {};
+
+        res.headers.forEach((value, name) => {
+            headers[name.toLowerCase()] = value;
+        });
+
+        let data: any;
+
+        if (isStreamed(req, res.status)) {
+            data = res.body || createStream(new ArrayBuffer(0));
+        } else if (req.responseType === "arraybuffer") {
+            data = decodeBody(await res.arrayBuffer().catch(wrap), headers, req.responseType);
+        } else {
+            data = parseBody(await res.text().catch(wrap), headers);
+        }
+
+        return {
+            status: res.status,
+            headers,
+            data,
+        };
+    }
+}
+
+/**
+ * A request received by a `MockTransport`.
+ *
+ * @property path - Path of the request URL, without the query string and the base path.
+ * @property params - Values of the path parameters matched by the handler's path template.
+ * @property query - Values of the query parameters.
+ * @property body - The request body. Parsed if it is JSON.
+ */
+export interface MockRequest {
+    method: string;
+    url: string;
+    path: string;
+    params: { [name: string]: string };
+    query: { [name: string]: string | string[] };
+    headers: HeaderDict;
+    body: any;
+}
+
+export type MockHandler = (req: MockRequest) =>
+    Partial<TransportResponse> | Promise<Partial<TransportResponse>>;
+
+interface MockRoute {
+    method: string;
+    pattern: RegExp;
+    names: string[];
+    handler: MockHandler;
+}
+
+/**
+ * In-memory transport for tests, which responds to requests using registered handlers
+ * instead of sending them over the network.
+ *
+ * Requests, for which there is no matching handler, receive a 404 response.
+ */
+export class MockTransport implements Transport {
+    routes: MockRoute[];
+    requests: MockRequest[];
+    basePath: string;
+
+    /**
+     * @param basePath - Path, which is stripped from the beginning of the requested paths
+     *    before matching them against the handlers. Useful when the base URL of the client
+     *    contains a path.
+     */
+    constructor (basePath: string = "") {
+        this.routes = [];
+        this.requests = [];
+        this.basePath = basePath.replace(/\/$/, "");
+    }
+
+    /**
+     * Registers a handler for requests matching the method and the path.
+     *
+     * Handlers registered later take precedence over handlers registered earlier.
+     *
+     * @param method - HTTP method, or `*` to match any method.
+     * @param path - Path template, in which path parameters are written
+     *    as in the OpenApi document, for example `/products/{barcode}`.
+     * @param handler - Function returning the response. The status code
+     *    defaults to 200 and JSON bodies are serialized automatically.
+     */
+    on (method: string, path: string, handler: MockHandler): this {
+        const names: string[] = [];
+
+        const pattern = path
+            .split(/({[^}]+})/)
+            .map((part) => {
+                const match = /^{([^}]+)}$/.exec(part);
+
+                if (match) {
+                    names.push(match[1]);
+                    return "([^/]+)";
+                }
+
+                return part.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+            })
+            .join("");
+
+        this.routes.unshift({
+            method: method.toLowerCase(),
+            pattern: new RegExp("^" + pattern + "/?$"),
+            names,
+            handler,
+        });
+
+        return this;
+    }
+
+    /** Removes all handlers and recorded requests. */
+    reset () {
+        this.routes = [];
+        this.requests = [];
+    }
+
+    async request (req: TransportRequest): Promise<TransportResponse> {
+        const url = new URL(req.url, "http://localhost");
+        const method = req.method.toLowerCase();
+        const headers: HeaderDict = {};
+
+        for (const name of Object.keys(req.headers)) {
+            headers[name.toLowerCase()] = req.headers[name];
+        }
+
+        const query: MockRequest["query"] = {};
+
+        url.searchParams.forEach((value, name) => {
+            const previous = query[name];
+
+            if (previous === undefined) {
+                query[name] = value;
+            } else {
+                query[name] = ([] as string[]).concat(previous, value);
+            }
+        });
+
+        let path = url.pathname;
+
+        if (this.basePath && path.indexOf(this.basePath) === 0) {
+            path = path.substring(this.basePath.length) || "/";
+        }
+
+        const mockRequest: MockRequest = {
+            method,
+            url: req.url,
+            path,
+            params: {},
+            query,
+            headers,
+            body: parseRequestBody(req.body, headers),
+        };
+
+        this.requests.push(mockRequest);
+
+        for (const route of this.routes) {
+            const match = route.pattern.exec(path);
+
+            if (!match || (route.method !== "*" && route.method !== method)) {
+                continue;
+            }
+
+            route.names.forEach((name, i) => {
+                mockRequest.params[name] = decodeURIComponent(match[i + 1]);
+            });
+
+            const res = await route.handler(mockRequest);
+            const resHeaders: HeaderDict = {};
+
+            for (const name of Object.keys(res.headers || {})) {
+                resHeaders[name.toLowerCase()] = (res.headers as HeaderDict)[name];
+            }
+
+            if (res.data !== undefined && !("content-type" in resHeaders)) {
+                resHeaders["content-type"] = "application/json";
+            }
+
+            let data = res.data;
+
+            // Round-trip JSON bodies through serialization to avoid sharing
+            // objects between the handler and the caller.
+            if (data !== undefined && isJson(resHeaders)) {
+                data = JSON.parse(JSON.stringify(data));
+            }
+
+            // Handlers may return binary bodies as strings, and streams are
+            // created from the body, as if it had been received over the network.
+            if (data !== undefined && (req.responseType === "arraybuffer" || isStreamed(req, res.status || 200))) {
+                data = encodeMockBody(data);
+                data = isStreamed(req, res.status || 200) ? createStream(data) : decodeBody(data, resHeaders, req.responseType);
+            }
+
+            return {
+                status: res.status || 200,
+                headers: resHeaders,
+                data,
+            };
+        }
+
+        return {
+            status: 404,
+            headers: {},
+            data: undefined,
+        };
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * A single violation of a schema.
+ *
+ * @property path - JSON pointer to the invalid value, relative to the validated value.
+ * @property schemaPath - Location of the violated schema in the OpenApi document.
+ * @property message - Human readable description of the violation.
+ */
+export interface ValidationIssue {
+    path: string;
+    schemaPath: string;
+    message: string;
+}
+
+/**
+ * Function, which validates a value against a schema, and returns a list of
+ * issues found. Validator functions are generated for each type definition.
+ */
+export type Validator = (value: unknown, path?: string) => ValidationIssue[];
+
+/**
+ * Subset of an OpenApi schema object, which is used for runtime validation.
+ * Named schemas are referenced using their generated validator functions.
+ */
+export interface Schema {
+    $path: string;
+    type?: "string" | "number" | "integer" | "boolean" | "array" | "object";
+    nullable?: boolean;
+    enum?: any[];
+    required?: string[];
+    properties?: { [property: string]: SchemaNode };
+    additionalProperties?: SchemaNode | false;
+    items?: SchemaNode;
+    allOf?: SchemaNode[];
+    oneOf?: SchemaNode[];
+    anyOf?: SchemaNode[];
+    minLength?: number;
+    maxLength?: number;
+    pattern?: string;
+    minimum?: number;
+    maximum?: number;
+    exclusiveMinimum?: boolean;
+    exclusiveMaximum?: boolean;
+    multipleOf?: number;
+    minItems?: number;
+    maxItems?: number;
+    uniqueItems?: boolean;
+    discriminator?: {
+        propertyName: string;
+        mapping: { [value: string]: SchemaNode };
+    };
+}
+
+export type SchemaNode = Schema | Validator;
+
+/**
+ * Error thrown when a value does not conform to it's schema.
+ */
+export class ValidationError extends Error {
+    issues: ValidationIssue[];
+
+    constructor (message: string, issues: ValidationIssue[]) {
+        super(message + "\n" + issues
+            .map((issue) => `  ${issue.path || "/"}: ${issue.message} (${issue.schemaPath})`)
+            .join("\n"));
+
+        Object.setPrototypeOf(this, new.target.prototype);
+
+        this.name = new.target.name;
+        this.issues = issues;
+    }
+}
+
+/**
+ * Escapes a property name for use in a JSON pointer, as defined in RFC 6901.
+ */
+function escapePointer(property: string): string {
+    return property.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function describe(value: unknown): string {
+    if (value === null) {
+        return "null";
+    } else if (Array.isArray(value)) {
+        return "array";
+    } else {
+        return typeof value;
+    }
+}
+
+function matchesType(value: unknown, type: Schema["type"]): boolean {
+    switch (type) {
+        case "integer":
+            return typeof value === "number" && Math.floor(value) === value;
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return typeof value === "object" && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Checks the value against the length, range and pattern constraints of the schema.
+ *
+ * @returns List of messages describing the violated constraints.
+ */
+function validateConstraints(value: unknown, schema: Schema): string[] {
+    const messages: string[] = [];
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            messages.push(`must be at least ${schema.minLength} characters long`);
+        }
+
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            messages.push(`must be at most ${schema.maxLength} characters long`);
+        }
+
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            messages.push(`must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined) {
+            if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) {
+                messages.push(`must be ${schema.exclusiveMinimum ? "greater than" : "at least"} ${schema.minimum}`);
+            }
+        }
+
+        if (schema.maximum !== undefined) {
+            if (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum) {
+                messages.push(`must be ${schema.exclusiveMaximum ? "less than" : "at most"} ${schema.maximum}`);
+            }
+        }
+
+        if (schema.multipleOf !== undefined && (value / schema.multipleOf) % 1 !== 0) {
+            messages.push(`must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            messages.push(`must contain at least ${schema.minItems} items`);
+        }
+
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            messages.push(`must contain at most ${schema.maxItems} items`);
+        }
+
+        if (schema.uniqueItems) {
+            const serialized = value.map((item) => JSON.stringify(item));
+
+            if (serialized.some((item, index) => serialized.indexOf(item) !== index)) {
+                messages.push("must not contain duplicate items");
+            }
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param value - The value to validate.
+ * @param schema - The schema or a generated validator function.
+ * @param path - JSON pointer to the value. Used as a prefix for the paths in the reported issues.
+ *
+ * @returns List of all issues found. Empty if the value is valid.
+ */
+export function validateSchema(value: unknown, schema: SchemaNode, path: string = ""): ValidationIssue[] {
+    if (typeof schema === "function") {
+        return schema(value, path);
+    }
+
+    const issue = (message: string): ValidationIssue[] => [{ path, schemaPath: schema.$path, message }];
+
+    if (value === null && schema.nullable) {
+        return [];
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return issue(`expected ${schema.type}, got ${describe(value)}`);
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        return issue(`expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+    }
+
+    const issues: ValidationIssue[] = [
+        ...validateConstraints(value, schema).map((message) => ({ path, schemaPath: schema.$path, message })),
+    ];
+
+    if (schema.allOf) {
+        for (const member of schema.allOf) {
+            issues.push(...validateSchema(value, member, path));
+        }
+    }
+
+    const discriminator = schema.discriminator;
+    const tag = discriminator && matchesType(value, "object")
+        ? (value as any)[discriminator.propertyName]
+        : undefined;
+
+    if (discriminator && typeof tag === "string" && tag in discriminator.mapping) {
+        issues.push(...validateSchema(value, discriminator.mapping[tag], path));
+    } else if (schema.oneOf || schema.anyOf) {
+        // As object schemas do not usually forbid additional properties,
+        // multiple members of a oneOf can match. Thus oneOf is treated as anyOf.
+        const members = (schema.oneOf || schema.anyOf) as SchemaNode[];
+        const matches = members.some((member) => validateSchema(value, member, path).length === 0);
+
+        if (!matches) {
+            issues.push(...issue("value does not match any of the allowed schemas"));
+        }
+    }
+
+    if (matchesType(value, "object")) {
+        const object = value as { [property: string]: unknown };
+
+        for (const property of schema.required || []) {
+            if (object[property] === undefined) {
+                issues.push({
+                    path: path + "/" + escapePointer(property),
+                    schemaPath: schema.$path,
+                    message: "required property is missing",
+                });
+            }
+        }
+
+        for (const [property, propertyValue] of Object.entries(object)) {
+            if (propertyValue === undefined) {
+                continue;
+            }
+
+            const propertyPath = path + "/" + escapePointer(property);
+
+            if (schema.properties && property in schema.properties) {
+                issues.push(...validateSchema(propertyValue, schema.properties[property], propertyPath));
+            } else if (schema.additionalProperties === false) {
+                issues.push({ path: propertyPath, schemaPath: schema.$path, message: "unexpected property" });
+            } else if (schema.additionalProperties) {
+                issues.push(...validateSchema(propertyValue, schema.additionalProperties, propertyPath));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        const items = schema.items;
+
+        value.forEach((item, index) => {
+            issues.push(...validateSchema(item, items, path + "/" + index));
+        });
+    }
+
+    return issues;
+}